@@ -1,15 +1,46 @@
-const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
 const User = require('../models/User');
 const { validationResult } = require('express-validator');
-const { sendWelcomeEmail, sendPasswordResetOTP } = require('../utils/emailService');
+const {
+  sendWelcomeEmail,
+  sendPasswordResetOTP,
+  sendEmailVerificationOTP,
+  sendAccountLockedEmail
+} = require('../utils/emailService');
+const {
+  createSession,
+  revokeAllSessions,
+  generateTwoFactorChallenge
+} = require('../utils/tokenService');
+const { requestAccountDeletion, describeUserData } = require('../utils/accountDeletion');
+
+// Compared against when no account matches so unknown emails take as long
+// to reject as wrong passwords
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
+const invalidCredentials = (res) => {
+  return res.status(401).json({
+    success: false,
+    message: 'Invalid email or password'
+  });
+};
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '30d'
+const invalidOTP = (res, attemptsRemaining) => {
+  return res.status(400).json({
+    success: false,
+    message: attemptsRemaining === 0
+      ? 'Too many incorrect attempts. Please request a new OTP'
+      : 'Invalid or expired OTP'
   });
 };
 
+// Email a fresh verification OTP to the address awaiting confirmation
+const sendVerificationCode = async (user) => {
+  const otp = user.generateEmailVerificationOTP();
+  await user.save({ validateBeforeSave: false });
+  await sendEmailVerificationOTP(user, otp, user.pendingEmail || user.email);
+};
+
 const register = async (req, res) => {
   try {
     // Check for validation errors
@@ -36,23 +67,28 @@ const register = async (req, res) => {
     const user = await User.create({
       name,
       email,
-      password
+      password,
+      emailVerified: false
     });
 
     if (user) {
-      // Send welcome email (don't wait for it)
-      sendWelcomeEmail(user).catch(err => {
-        console.error('Failed to send welcome email:', err);
-        // Don't fail registration if email fails
+      // Send verification code (don't wait for it); the welcome email
+      // follows once the address is confirmed
+      sendVerificationCode(user).catch(err => {
+        console.error('Failed to send verification email:', err);
+        // Don't fail registration if email fails, the user can resend
       });
 
+      const tokens = await createSession(user, req);
+
       res.status(201).json({
         success: true,
         data: {
           _id: user._id,
           name: user.name,
           email: user.email,
-          token: generateToken(user._id)
+          emailVerified: false,
+          ...tokens
         }
       });
     }
@@ -79,22 +115,30 @@ const login = async (req, res) => {
 
     const { email, password } = req.body;
 
-    // Check for user email
+    // Check for user email (same response as a wrong password so
+    // the endpoint can't be used to discover accounts)
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'Account not found'
-      });
+      await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+      return invalidCredentials(res);
     }
 
     // Check if password matches
     const isMatch = await user.comparePassword(password);
+
+    // Locked accounts reject even the right password until the lock expires
+    if (user.isLocked()) {
+      return invalidCredentials(res);
+    }
+
     if (!isMatch) {
-      return res.status(401).json({
-        success: false,
-        message: 'Incorrect password'
-      });
+      const locked = await user.registerFailedLogin();
+      if (locked) {
+        sendAccountLockedEmail(user, user.lockUntil).catch(err => {
+          console.error('Failed to send account locked email:', err);
+        });
+      }
+      return invalidCredentials(res);
     }
 
     // Check if user is active
@@ -105,17 +149,34 @@ const login = async (req, res) => {
       });
     }
 
-    // Update last login
+    // The real tokens are only issued once the second factor checks out
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallenge(user)
+        }
+      });
+    }
+
+    // Update last login (logging in also cancels a pending deletion)
+    user.resetLoginAttempts();
+    const deletionCancelled = user.cancelDeletion();
     user.lastLogin = Date.now();
     await user.save();
 
+    const tokens = await createSession(user, req);
+
     res.json({
       success: true,
       data: {
         _id: user._id,
         name: user.name,
         email: user.email,
-        token: generateToken(user._id)
+        emailVerified: user.isEmailVerified(),
+        ...(deletionCancelled && { deletionCancelled }),
+        ...tokens
       }
     });
   } catch (error) {
@@ -160,26 +221,47 @@ const updateProfile = async (req, res) => {
       });
     }
 
-    // Check if email is being changed and if it's already taken
-    if (email && email !== user.email) {
-      const emailExists = await User.findOne({ email });
+    // A new email only replaces the current one after it is verified
+    let emailChangeRequested = false;
+    const newEmail = email ? email.toLowerCase().trim() : undefined;
+
+    if (newEmail && newEmail === user.email) {
+      user.pendingEmail = undefined;
+    } else if (newEmail && newEmail !== user.pendingEmail) {
+      const emailExists = await User.findOne({ email: newEmail });
       if (emailExists) {
         return res.status(400).json({
           success: false,
           message: 'Email already in use'
         });
       }
-      user.email = email;
+      user.pendingEmail = newEmail;
+      emailChangeRequested = true;
     }
 
     if (name) user.name = name;
 
     await user.save();
 
-    res.json({
-      success: true,
-      data: user
-    });
+    if (emailChangeRequested) {
+      try {
+        await sendVerificationCode(user);
+      } catch (emailError) {
+        console.error('Failed to send verification email:', emailError);
+        return res.status(500).json({
+          success: false,
+          message: 'Profile updated, but the verification email could not be sent. Please request a new code.',
+          data: user
+        });
+      }
+    }
+
+    const response = { success: true, data: user };
+    if (emailChangeRequested) {
+      response.message = `Verification code sent to ${user.pendingEmail}. Your email will change once it is confirmed.`;
+    }
+
+    res.json(response);
   } catch (error) {
     console.error('Update profile error:', error);
     res.status(500).json({
@@ -212,16 +294,19 @@ const changePassword = async (req, res) => {
       });
     }
 
-    // Update password
+    // Update password (this invalidates every token issued so far)
     user.password = newPassword;
     await user.save();
 
+    await revokeAllSessions(user._id, 'password_changed');
+
+    // Keep the device that made the change signed in under a fresh session
+    const tokens = await createSession(user, req);
+
     res.json({
       success: true,
       message: 'Password changed successfully',
-      data: {
-        token: generateToken(user._id)
-      }
+      data: tokens
     });
   } catch (error) {
     console.error('Change password error:', error);
@@ -237,13 +322,22 @@ const forgotPassword = async (req, res) => {
   try {
     const { email } = req.body;
 
+    // The same answer whether or not the address has an account, so the
+    // endpoint can't be used to find out who uses the app
+    const respond = () => res.json({
+      success: true,
+      message: `If ${email} belongs to a verified account, a password reset OTP has been sent to it`,
+      data: {
+        email: email,
+        expiresIn: '10 minutes'
+      }
+    });
+
     const user = await User.findOne({ email });
 
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'No account found with that email address'
-      });
+    // Never send reset codes to an address nobody has proven they own
+    if (!user || !user.isEmailVerified()) {
+      return respond();
     }
 
     // Generate 6-digit OTP
@@ -253,23 +347,15 @@ const forgotPassword = async (req, res) => {
     // Send OTP via email
     try {
       await sendPasswordResetOTP(user, otp);
-      
-      res.json({
-        success: true,
-        message: `Password reset OTP sent to ${email}`,
-        data: {
-          email: email,
-          expiresIn: '10 minutes'
-        }
-      });
     } catch (emailError) {
       // If email fails, clear the OTP
+      console.error('Forgot password email error:', emailError);
       user.resetPasswordOTP = undefined;
       user.resetPasswordOTPExpire = undefined;
       await user.save({ validateBeforeSave: false });
-      
-      throw new Error('Failed to send email. Please try again.');
     }
+
+    respond();
   } catch (error) {
     console.error('Forgot password error:', error);
     res.status(500).json({
@@ -307,14 +393,17 @@ const resetPassword = async (req, res) => {
     user.password = password;
     user.resetPasswordToken = undefined;
     user.resetPasswordExpire = undefined;
+    user.resetLoginAttempts();
     await user.save();
 
+    await revokeAllSessions(user._id, 'password_reset');
+
+    const tokens = await createSession(user, req);
+
     res.json({
       success: true,
       message: 'Password reset successful',
-      data: {
-        token: generateToken(user._id)
-      }
+      data: tokens
     });
   } catch (error) {
     console.error('Reset password error:', error);
@@ -339,19 +428,13 @@ const verifyOTP = async (req, res) => {
 
     const user = await User.findOne({ email });
 
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
+    if (!user || !user.resetPasswordOTP) {
+      return invalidOTP(res);
     }
 
-    // Verify OTP
-    if (!user.verifyResetOTP(otp)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid or expired OTP'
-      });
+    // Verify OTP, burning it after too many wrong guesses
+    if (!user.verifyResetOTP(String(otp))) {
+      return invalidOTP(res, await user.registerFailedOTPAttempt());
     }
 
     res.json({
@@ -391,36 +474,136 @@ const resetPasswordWithOTP = async (req, res) => {
 
     const user = await User.findOne({ email }).select('+password');
 
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
+    if (!user || !user.resetPasswordOTP) {
+      return invalidOTP(res);
     }
 
-    // Verify OTP
-    if (!user.verifyResetOTP(otp)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid or expired OTP'
-      });
+    // Verify OTP, burning it after too many wrong guesses
+    if (!user.verifyResetOTP(String(otp))) {
+      return invalidOTP(res, await user.registerFailedOTPAttempt());
     }
 
     // Set new password
     user.password = newPassword;
     user.resetPasswordOTP = undefined;
     user.resetPasswordOTPExpire = undefined;
+    user.resetPasswordOTPAttempts = 0;
+    user.resetLoginAttempts();
     await user.save();
 
+    await revokeAllSessions(user._id, 'password_reset');
+
+    const tokens = await createSession(user, req);
+
     res.json({
       success: true,
       message: 'Password reset successful',
+      data: tokens
+    });
+  } catch (error) {
+    console.error('Reset password with OTP error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+const verifyEmail = async (req, res) => {
+  try {
+    const { otp } = req.body;
+
+    if (!otp) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the verification code'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!user.emailVerificationOTP) {
+      return invalidOTP(res);
+    }
+
+    if (!user.verifyEmailOTP(String(otp))) {
+      return invalidOTP(res, await user.registerFailedEmailOTPAttempt());
+    }
+
+    const isFirstVerification = !user.pendingEmail && !user.isEmailVerified();
+
+    if (user.pendingEmail) {
+      // The address may have been claimed since the change was requested
+      const emailTaken = await User.findOne({
+        email: user.pendingEmail,
+        _id: { $ne: user._id }
+      });
+      if (emailTaken) {
+        user.pendingEmail = undefined;
+        user.emailVerificationOTP = undefined;
+        user.emailVerificationOTPExpire = undefined;
+        await user.save({ validateBeforeSave: false });
+        return res.status(400).json({
+          success: false,
+          message: 'Email already in use'
+        });
+      }
+
+      user.email = user.pendingEmail;
+      user.pendingEmail = undefined;
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationOTP = undefined;
+    user.emailVerificationOTPExpire = undefined;
+    user.emailVerificationOTPAttempts = 0;
+    await user.save();
+
+    if (isFirstVerification) {
+      sendWelcomeEmail(user).catch(err => {
+        console.error('Failed to send welcome email:', err);
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: user
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+const resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user.pendingEmail && user.isEmailVerified()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email address is already verified'
+      });
+    }
+
+    await sendVerificationCode(user);
+
+    res.json({
+      success: true,
+      message: `Verification code sent to ${user.pendingEmail || user.email}`,
       data: {
-        token: generateToken(user._id)
+        email: user.pendingEmail || user.email,
+        expiresIn: '24 hours'
       }
     });
   } catch (error) {
-    console.error('Reset password with OTP error:', error);
+    console.error('Resend verification email error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -440,12 +623,20 @@ const deleteAccount = async (req, res) => {
       });
     }
 
-    // Delete the user account
-    await User.findByIdAndDelete(req.user.id);
+    const { scheduledFor, deleted } = await requestAccountDeletion(user);
+
+    if (scheduledFor) {
+      return res.status(202).json({
+        success: true,
+        message: `Account scheduled for deletion on ${scheduledFor.toISOString()}. Log in again before then to cancel. The data listed will be deleted, and you'll be emailed what was removed.`,
+        data: { scheduledFor, willDelete: describeUserData() }
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Account and all associated data deleted successfully'
+      message: 'Account and all associated data deleted successfully',
+      data: { deleted }
     });
   } catch (error) {
     console.error('Delete account error:', error);
@@ -467,5 +658,7 @@ module.exports = {
   resetPassword,
   verifyOTP,
   resetPasswordWithOTP,
+  verifyEmail,
+  resendVerificationEmail,
   deleteAccount
 };
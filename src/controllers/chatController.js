@@ -1,43 +1,143 @@
-const { ChatMessage, ChatSession } = require("../models/Chat");
+const mongoose = require("mongoose");
+const { ChatMessage, ChatSession, CURRENT_VERSION } = require("../models/Chat");
 const { validationResult } = require("express-validator");
 const crypto = require("crypto");
+const { toReadable } = require("../utils/unreadableRecords");
+const { assessRisk } = require("../utils/riskMonitor");
+const { scheduleSessionInsights } = require("../utils/chatInsights");
+const { scheduleMemoryExtraction, forgetMemoriesFrom } = require("../utils/memoryStore");
+const { buildSearchTokens, buildQueryTokens } = require("../utils/searchIndex");
+const {
+  generateCompanionReply,
+  streamCompanionReply,
+} = require("../utils/chatCompanion");
+const {
+  FORMATS,
+  loadTranscript,
+  renderTranscript,
+  buildTranscriptArchive,
+} = require("../utils/chatTranscript");
+
+// Keeps proxies from closing an idle stream while the model is thinking
+const STREAM_HEARTBEAT_MS = 15000;
+
+// Write one server-sent event
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
 
 // Generate unique session ID
 const generateSessionId = () => {
   return crypto.randomBytes(16).toString("hex");
 };
 
+// Number each assistant reply among the versions generated for the same
+// user message, so clients can flip between them
+const addVersionInfo = async (userId, messages) => {
+  const questions = messages.filter((message) => message.replyTo).map((message) => message.replyTo);
+  if (questions.length === 0) {
+    return messages;
+  }
+
+  const groups = await ChatMessage.aggregate([
+    { $match: { userId, replyTo: { $in: questions } } },
+    { $sort: { timestamp: 1 } },
+    { $group: { _id: "$replyTo", versions: { $push: "$_id" } } },
+  ]);
+  const versionsByQuestion = new Map(
+    groups.map((group) => [String(group._id), group.versions.map(String)])
+  );
+
+  return messages.map((message) => {
+    const versions = message.replyTo && versionsByQuestion.get(String(message.replyTo));
+    return versions
+      ? { ...message, version: { index: versions.indexOf(String(message._id)) + 1, count: versions.length } }
+      : message;
+  });
+};
+
+// The user message the conversation currently ends on
+const findLastQuestion = (userId, sessionId) => {
+  return ChatMessage.findOne({ userId, sessionId, role: "user", ...CURRENT_VERSION })
+    .sort({ timestamp: -1 });
+};
+
+// Opaque position in the session list: the last session's lastMessageAt and
+// _id, so sessions with the same time are neither skipped nor repeated
+const encodeSessionCursor = (session) => {
+  return Buffer.from(
+    JSON.stringify({ t: session.lastMessageAt, id: session._id })
+  ).toString("base64url");
+};
+
+const decodeSessionCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    const lastMessageAt = new Date(t);
+    if (isNaN(lastMessageAt) || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+    return { lastMessageAt, _id: new mongoose.Types.ObjectId(String(id)) };
+  } catch (error) {
+    return null;
+  }
+};
+
 const getChatSessions = async (req, res) => {
   try {
-    const { userId } = req.user;
-
-    const sessions = await ChatSession.find({ userId })
-      .sort({ updatedAt: -1 })
-      .limit(50);
-
-    console.log(`Found ${sessions.length} chat sessions for user`);
-
-    // Try to decrypt each session individually
-    const validSessions = [];
-    for (const session of sessions) {
-      try {
-        const sessionObj = session.toObject();
-        console.log(`Successfully decrypted session: ${sessionObj._id}`);
-        validSessions.push(sessionObj);
-      } catch (error) {
-        console.error(
-          `Failed to decrypt session ${session._id}:`,
-          error.message
-        );
-        // Skip this corrupted session
-        continue;
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { status = "active", pinned, cursor } = req.query;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const query = { userId: req.user._id };
+    if (status !== "all") {
+      query.isActive = status === "active";
+    }
+    if (pinned !== undefined) {
+      query.isPinned = pinned === "true";
+    }
+
+    if (cursor) {
+      const position = decodeSessionCursor(cursor);
+      if (!position) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid cursor",
+        });
       }
+      query.$or = [
+        { lastMessageAt: { $lt: position.lastMessageAt } },
+        { lastMessageAt: position.lastMessageAt, _id: { $lt: position._id } },
+      ];
     }
 
+    // One extra tells whether there is another page
+    const sessions = await ChatSession.find(query)
+      .sort({ lastMessageAt: -1, _id: -1 })
+      .limit(limit + 1);
+    const hasMore = sessions.length > limit;
+    const page = sessions.slice(0, limit);
+
+    console.log(`Found ${page.length} chat sessions for user`);
+
+    // Sessions that fail to decrypt are reported instead of failing the list
+    const { items, unreadable } = toReadable(page, "chatSession");
+
     res.json({
       success: true,
-      sessions: validSessions,
-      skipped: sessions.length - validSessions.length,
+      sessions: items,
+      skipped: unreadable.length,
+      unreadable,
+      hasMore,
+      nextCursor: hasMore ? encodeSessionCursor(page[page.length - 1]) : null,
     });
   } catch (error) {
     console.error("Get chat sessions error:", error);
@@ -61,15 +161,13 @@ const getChatSession = async (req, res) => {
       ChatMessage.find({
         sessionId,
         userId: req.user._id,
+        ...CURRENT_VERSION,
       })
-        .select("role content timestamp")
+        // userId selects the decryption key
+        .select("userId role content timestamp replyTo editedAt feedback")
         .sort({ timestamp: 1 }),
     ]);
 
-    // Convert to plain objects after decryption
-    const sessionObj = session ? session.toObject() : null;
-    const messagesArr = messages.map((msg) => msg.toObject());
-
     if (!session) {
       return res.status(404).json({
         success: false,
@@ -77,12 +175,18 @@ const getChatSession = async (req, res) => {
       });
     }
 
+    // Decrypt what we can; a damaged session title or message is reported
+    // in `unreadable` rather than failing the whole conversation
+    const sessionResult = toReadable([session], "chatSession");
+    const messageResult = toReadable(messages, "chatMessage");
+
     res.json({
       success: true,
       data: {
-        session: sessionObj,
-        messages: messagesArr,
+        session: sessionResult.items[0] || null,
+        messages: await addVersionInfo(req.user._id, messageResult.items),
       },
+      unreadable: [...sessionResult.unreadable, ...messageResult.unreadable],
     });
   } catch (error) {
     console.error("Get chat session error:", error);
@@ -107,6 +211,7 @@ const createChatSession = async (req, res) => {
       userId: req.user._id,
       sessionId,
       title: title || "New Chat",
+      titleSetByUser: !!title,
     });
 
     console.log("Chat session created:", {
@@ -146,7 +251,7 @@ const addChatMessage = async (req, res) => {
     }
 
     const { sessionId } = req.params;
-    const { role, content } = req.body;
+    const { content } = req.body;
 
     // Verify session exists and belongs to user
     const session = await ChatSession.findOne({
@@ -166,25 +271,38 @@ const addChatMessage = async (req, res) => {
     }
 
     console.log("Session found, creating message...");
-    // Create message
+    // Clients only write their own messages; replies come from replyToChat
     const message = await ChatMessage.create({
       userId: req.user._id,
       sessionId,
-      role,
+      role: "user",
       content,
     });
 
     // Update session's last message time
     session.lastMessageAt = Date.now();
     await session.save();
+    scheduleSessionInsights(req.user._id, sessionId);
+    scheduleMemoryExtraction(
+      req.user._id,
+      { type: "chat", id: message._id, sessionId },
+      content
+    );
 
     console.log("✅ Message saved successfully:", {
       messageId: message._id,
-      role,
+      role: message.role,
     });
+    const risk = await assessRisk(req.user, {
+      source: "chat",
+      sourceId: message._id,
+      text: content,
+    });
+
     res.status(201).json({
       success: true,
       data: message,
+      ...(risk && { risk }),
     });
   } catch (error) {
     console.error("Add chat message error:", error);
@@ -196,6 +314,215 @@ const addChatMessage = async (req, res) => {
   }
 };
 
+const replyToChat = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { sessionId } = req.params;
+    const { content } = req.body;
+
+    const session = await ChatSession.findOne({
+      sessionId,
+      userId: req.user._id,
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Chat session not found",
+      });
+    }
+
+    const userMessage = await ChatMessage.create({
+      userId: req.user._id,
+      sessionId,
+      role: "user",
+      content,
+    });
+    const risk = await assessRisk(req.user, {
+      source: "chat",
+      sourceId: userMessage._id,
+      text: content,
+    });
+    scheduleMemoryExtraction(
+      req.user._id,
+      { type: "chat", id: userMessage._id, sessionId },
+      content
+    );
+
+    let reply;
+    try {
+      reply = await generateCompanionReply(req.user._id, sessionId);
+    } catch (error) {
+      console.error("Companion reply error:", error.message);
+      session.lastMessageAt = Date.now();
+      await session.save();
+      // The user's message is kept, so the client can retry the reply alone
+      // with the regenerate endpoint
+      return res.status(502).json({
+        success: false,
+        message: "Could not generate a reply, please try again",
+        data: { userMessage },
+        ...(risk && { risk }),
+      });
+    }
+
+    const assistantMessage = await ChatMessage.create({
+      userId: req.user._id,
+      sessionId,
+      role: "assistant",
+      content: reply.content,
+      replyTo: userMessage._id,
+    });
+
+    session.lastMessageAt = Date.now();
+    await session.save();
+    scheduleSessionInsights(req.user._id, sessionId);
+
+    res.status(201).json({
+      success: true,
+      data: { userMessage, assistantMessage },
+      ...(risk && { risk }),
+    });
+  } catch (error) {
+    console.error("Reply to chat error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+// Same as replyToChat, but streams the reply over server-sent events:
+// "start" (the stored user message and any risk flag), "token" for each
+// chunk, then "done" with the stored assistant message, or "error". Nothing
+// is stored for a reply that fails or that the client stops listening to.
+const streamChatReply = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { sessionId } = req.params;
+    const { content } = req.body;
+
+    const session = await ChatSession.findOne({
+      sessionId,
+      userId: req.user._id,
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Chat session not found",
+      });
+    }
+
+    const userMessage = await ChatMessage.create({
+      userId: req.user._id,
+      sessionId,
+      role: "user",
+      content,
+    });
+    session.lastMessageAt = Date.now();
+    await session.save();
+    const risk = await assessRisk(req.user, {
+      source: "chat",
+      sourceId: userMessage._id,
+      text: content,
+    });
+    scheduleMemoryExtraction(
+      req.user._id,
+      { type: "chat", id: userMessage._id, sessionId },
+      content
+    );
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // Disable proxy buffering (nginx)
+    });
+    sendEvent(res, "start", { userMessage, ...(risk && { risk }) });
+
+    const controller = new AbortController();
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), STREAM_HEARTBEAT_MS);
+    res.on("close", () => controller.abort());
+
+    let reply = "";
+    try {
+      for await (const chunk of streamCompanionReply(req.user._id, sessionId, {
+        signal: controller.signal,
+      })) {
+        if (controller.signal.aborted) {
+          break;
+        }
+        reply += chunk;
+        sendEvent(res, "token", { text: chunk });
+      }
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        console.error("Companion stream error:", error.message);
+        sendEvent(res, "error", {
+          message: "Could not generate a reply, please try again",
+        });
+      }
+      clearInterval(heartbeat);
+      return res.end();
+    }
+    clearInterval(heartbeat);
+
+    if (controller.signal.aborted) {
+      return res.end();
+    }
+
+    if (!reply.trim()) {
+      sendEvent(res, "error", {
+        message: "Could not generate a reply, please try again",
+      });
+      return res.end();
+    }
+
+    const assistantMessage = await ChatMessage.create({
+      userId: req.user._id,
+      sessionId,
+      role: "assistant",
+      content: reply.trim(),
+      replyTo: userMessage._id,
+    });
+    session.lastMessageAt = Date.now();
+    await session.save();
+    scheduleSessionInsights(req.user._id, sessionId);
+
+    sendEvent(res, "done", { assistantMessage });
+    res.end();
+  } catch (error) {
+    console.error("Stream chat reply error:", error);
+    if (res.headersSent) {
+      sendEvent(res, "error", { message: "Server error" });
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
 const updateChatSession = async (req, res) => {
   try {
     const { sessionId } = req.params;
@@ -206,7 +533,14 @@ const updateChatSession = async (req, res) => {
         sessionId,
         userId: req.user._id,
       },
-      { title },
+      // A title the user picks is never replaced by a generated one
+      {
+        title,
+        ...(title !== undefined && {
+          titleSetByUser: true,
+          searchTokens: buildSearchTokens(req.user._id, { title }) || [],
+        }),
+      },
       { new: true }
     );
 
@@ -231,6 +565,105 @@ const updateChatSession = async (req, res) => {
   }
 };
 
+// Apply archive or pin changes to one of the user's sessions
+const updateSessionState = async (req, res, updates, message) => {
+  const session = await ChatSession.findOneAndUpdate(
+    {
+      sessionId: req.params.sessionId,
+      userId: req.user._id,
+    },
+    updates,
+    { new: true }
+  );
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: "Chat session not found",
+    });
+  }
+
+  res.json({
+    success: true,
+    message,
+    data: session,
+  });
+};
+
+const archiveChatSession = async (req, res) => {
+  try {
+    // Archived sessions drop out of the pinned list too
+    await updateSessionState(
+      req,
+      res,
+      { isActive: false, archivedAt: Date.now(), isPinned: false, $unset: { pinnedAt: 1 } },
+      "Chat session archived"
+    );
+  } catch (error) {
+    console.error("Archive chat session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+const unarchiveChatSession = async (req, res) => {
+  try {
+    await updateSessionState(
+      req,
+      res,
+      { isActive: true, $unset: { archivedAt: 1 } },
+      "Chat session restored"
+    );
+  } catch (error) {
+    console.error("Unarchive chat session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+const pinChatSession = async (req, res) => {
+  try {
+    // Pinning brings an archived session back
+    await updateSessionState(
+      req,
+      res,
+      { isPinned: true, pinnedAt: Date.now(), isActive: true, $unset: { archivedAt: 1 } },
+      "Chat session pinned"
+    );
+  } catch (error) {
+    console.error("Pin chat session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+const unpinChatSession = async (req, res) => {
+  try {
+    await updateSessionState(
+      req,
+      res,
+      { isPinned: false, $unset: { pinnedAt: 1 } },
+      "Chat session unpinned"
+    );
+  } catch (error) {
+    console.error("Unpin chat session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
 const deleteChatSession = async (req, res) => {
   try {
     const { sessionId } = req.params;
@@ -253,6 +686,9 @@ const deleteChatSession = async (req, res) => {
       userId: req.user._id,
     });
 
+    // Along with anything remembered from it
+    await forgetMemoriesFrom(req.user._id, { sessionId });
+
     // Hard delete the session itself
     await ChatSession.deleteOne({
       sessionId,
@@ -299,6 +735,7 @@ const getChatMessages = async (req, res) => {
     let query = {
       sessionId,
       userId: req.user._id,
+      ...CURRENT_VERSION,
     };
 
     //get messages before a certain timestamp
@@ -309,10 +746,12 @@ const getChatMessages = async (req, res) => {
     const messages = await ChatMessage.find(query)
       .sort({ timestamp: -1 })
       .limit(parseInt(limit));
+    const { items, unreadable } = toReadable(messages.reverse(), "chatMessage");
 
     res.json({
       success: true,
-      data: messages.reverse(), // Return in chronological order
+      data: await addVersionInfo(req.user._id, items), // Return in chronological order
+      unreadable,
     });
   } catch (error) {
     console.error("Get chat messages error:", error);
@@ -422,13 +861,751 @@ const getMindfulnessStreak = async (req, res) => {
   }
 };
 
+// Messages just before and after a match, oldest first
+const loadMessageContext = async (userId, message, size) => {
+  const [before, after] = await Promise.all([
+    ChatMessage.find({
+      userId,
+      sessionId: message.sessionId,
+      timestamp: { $lt: message.timestamp },
+      ...CURRENT_VERSION,
+    })
+      .sort({ timestamp: -1 })
+      .limit(size),
+    ChatMessage.find({
+      userId,
+      sessionId: message.sessionId,
+      timestamp: { $gt: message.timestamp },
+      ...CURRENT_VERSION,
+    })
+      .sort({ timestamp: 1 })
+      .limit(size),
+  ]);
+
+  return {
+    before: toReadable(before.reverse(), "chatMessage"),
+    after: toReadable(after, "chatMessage"),
+  };
+};
+
+const searchChatHistory = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { query, role, startDate, endDate } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const contextSize = req.query.context !== undefined ? parseInt(req.query.context) : 2;
+
+    // Content and titles are encrypted, so match on the blind index and rank
+    // by the number of query terms found, then by recency
+    const terms = buildQueryTokens(req.user._id, query);
+    if (terms.length === 0) {
+      return res.json({
+        success: true,
+        data: [],
+        sessions: [],
+        unreadable: [],
+        totalPages: 0,
+        currentPage: page,
+        total: 0,
+      });
+    }
+
+    const tokens = terms.flat();
+    const countMatches = {
+      $add: terms.map((candidates) => ({
+        $cond: [{ $gt: [{ $size: { $setIntersection: ["$searchTokens", candidates] } }, 0] }, 1, 0],
+      })),
+    };
+
+    const messageFilter = {
+      userId: req.user._id,
+      searchTokens: { $in: tokens },
+      ...CURRENT_VERSION,
+    };
+    if (role) {
+      messageFilter.role = role;
+    }
+    if (startDate || endDate) {
+      messageFilter.timestamp = {};
+      if (startDate) messageFilter.timestamp.$gte = new Date(startDate);
+      if (endDate) messageFilter.timestamp.$lte = new Date(endDate);
+    }
+
+    const [{ results, total }] = await ChatMessage.aggregate([
+      { $match: messageFilter },
+      { $addFields: { matchCount: countMatches } },
+      { $sort: { matchCount: -1, timestamp: -1 } },
+      {
+        $facet: {
+          results: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            { $project: { searchTokens: 0 } },
+          ],
+          total: [{ $count: "count" }],
+        },
+      },
+    ]);
+    const count = total.length > 0 ? total[0].count : 0;
+
+    // Hydrate so the decrypting getters run
+    const matchCounts = new Map(results.map((doc) => [String(doc._id), doc.matchCount]));
+    const messages = toReadable(
+      results.map(({ matchCount, ...doc }) => ChatMessage.hydrate(doc)),
+      "chatMessage"
+    );
+    const unreadable = [...messages.unreadable];
+
+    const sessionIds = [...new Set(messages.items.map((message) => message.sessionId))];
+    const sessions = toReadable(
+      await ChatSession.find({ userId: req.user._id, sessionId: { $in: sessionIds } }),
+      "chatSession"
+    );
+    unreadable.push(...sessions.unreadable);
+    const sessionsById = new Map(sessions.items.map((session) => [session.sessionId, session]));
+
+    const data = await Promise.all(
+      messages.items.map(async (message) => {
+        const { before, after } = await loadMessageContext(req.user._id, message, contextSize);
+        unreadable.push(...before.unreadable, ...after.unreadable);
+        const session = sessionsById.get(message.sessionId);
+
+        return {
+          message: { ...message, matchCount: matchCounts.get(String(message._id)) },
+          context: { before: before.items, after: after.items },
+          session: session
+            ? {
+              sessionId: session.sessionId,
+              title: session.title,
+              createdAt: session.createdAt,
+              lastMessageAt: session.lastMessageAt,
+            }
+            : null,
+        };
+      })
+    );
+
+    // Sessions whose title matches are listed with the first page
+    let titleMatches = [];
+    if (page === 1) {
+      const sessionFilter = { userId: req.user._id, searchTokens: { $in: tokens } };
+      if (startDate) sessionFilter.lastMessageAt = { $gte: new Date(startDate) };
+      if (endDate) sessionFilter.createdAt = { $lte: new Date(endDate) };
+
+      const sessionResults = await ChatSession.aggregate([
+        { $match: sessionFilter },
+        { $addFields: { matchCount: countMatches } },
+        { $sort: { matchCount: -1, lastMessageAt: -1 } },
+        { $limit: limit },
+        { $project: { searchTokens: 0, matchCount: 0 } },
+      ]);
+      const readable = toReadable(
+        sessionResults.map((doc) => ChatSession.hydrate(doc)),
+        "chatSession"
+      );
+      titleMatches = readable.items;
+      unreadable.push(...readable.unreadable);
+    }
+
+    res.json({
+      success: true,
+      data,
+      sessions: titleMatches,
+      // A record can turn up both as a match and as context
+      unreadable: [...new Map(unreadable.map((record) => [String(record.id), record])).values()],
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      total: count,
+    });
+  } catch (error) {
+    console.error("Search chat history error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+const rateReply = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { sessionId, messageId } = req.params;
+    const { rating, reason } = req.body;
+
+    const message = await ChatMessage.findOne({
+      _id: messageId,
+      sessionId,
+      userId: req.user._id,
+      role: "assistant",
+    });
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: "Reply not found",
+      });
+    }
+
+    message.feedback = { rating, reason: reason || undefined, ratedAt: Date.now() };
+    await message.save();
+
+    res.json({
+      success: true,
+      message: "Thanks for your feedback",
+      data: message,
+    });
+  } catch (error) {
+    console.error("Rate reply error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+const clearReplyFeedback = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { sessionId, messageId } = req.params;
+
+    const message = await ChatMessage.findOne({
+      _id: messageId,
+      sessionId,
+      userId: req.user._id,
+      role: "assistant",
+    });
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: "Reply not found",
+      });
+    }
+
+    message.feedback = undefined;
+    await message.save();
+
+    res.json({
+      success: true,
+      message: "Feedback removed",
+      data: message,
+    });
+  } catch (error) {
+    console.error("Clear reply feedback error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+const editChatMessage = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { sessionId, messageId } = req.params;
+    const { content } = req.body;
+
+    const [session, message] = await Promise.all([
+      ChatSession.findOne({ sessionId, userId: req.user._id }),
+      ChatMessage.findOne({
+        _id: messageId,
+        sessionId,
+        userId: req.user._id,
+        ...CURRENT_VERSION,
+      }),
+    ]);
+
+    if (!session || !message) {
+      return res.status(404).json({
+        success: false,
+        message: "Chat message not found",
+      });
+    }
+
+    if (message.role !== "user") {
+      return res.status(400).json({
+        success: false,
+        message: "Only your own messages can be edited",
+      });
+    }
+
+    // Everything after the edited message answered the old text, so that
+    // branch of the conversation goes, replaced replies included
+    const following = await ChatMessage.find({
+      userId: req.user._id,
+      sessionId,
+      timestamp: { $gt: message.timestamp },
+    }).select("_id");
+    const removedIds = following.map((doc) => doc._id);
+    await ChatMessage.deleteMany({ _id: { $in: removedIds } });
+    // Also stops extractions still running for the old text
+    await forgetMemoriesFrom(req.user._id, { ids: [...removedIds, message._id] });
+
+    // The summary covers text that no longer exists; it is rebuilt later
+    if (session.summarizedUntil && session.summarizedUntil >= message.timestamp) {
+      await ChatSession.updateOne(
+        { _id: session._id },
+        { $unset: { summary: 1, summarizedUntil: 1 } }
+      );
+    }
+
+    message.content = content;
+    message.editedAt = Date.now();
+    await message.save();
+
+    const risk = await assessRisk(req.user, {
+      source: "chat",
+      sourceId: message._id,
+      text: content,
+    });
+    scheduleMemoryExtraction(
+      req.user._id,
+      { type: "chat", id: message._id, sessionId },
+      content
+    );
+
+    let reply;
+    try {
+      reply = await generateCompanionReply(req.user._id, sessionId);
+    } catch (error) {
+      console.error("Companion reply error:", error.message);
+      session.lastMessageAt = Date.now();
+      await session.save();
+      // The edit is kept; the client can retry with the regenerate endpoint
+      return res.status(502).json({
+        success: false,
+        message: "Could not generate a reply, please try again",
+        data: { userMessage: message, removedMessages: removedIds.length },
+        ...(risk && { risk }),
+      });
+    }
+
+    const assistantMessage = await ChatMessage.create({
+      userId: req.user._id,
+      sessionId,
+      role: "assistant",
+      content: reply.content,
+      replyTo: message._id,
+    });
+
+    session.lastMessageAt = Date.now();
+    await session.save();
+    scheduleSessionInsights(req.user._id, sessionId);
+
+    res.json({
+      success: true,
+      data: {
+        userMessage: message,
+        assistantMessage,
+        removedMessages: removedIds.length,
+      },
+      ...(risk && { risk }),
+    });
+  } catch (error) {
+    console.error("Edit chat message error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+// Make replies set aside for regeneration current again. Skipped if another
+// reply to the same message became current in the meantime.
+const restoreReplies = async (ids) => {
+  try {
+    await ChatMessage.updateMany({ _id: { $in: ids } }, { isCurrent: true });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+};
+
+const regenerateReply = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { sessionId, messageId } = req.params;
+
+    const [session, target, lastQuestion] = await Promise.all([
+      ChatSession.findOne({ sessionId, userId: req.user._id }),
+      ChatMessage.findOne({
+        _id: messageId,
+        sessionId,
+        userId: req.user._id,
+        ...CURRENT_VERSION,
+      }),
+      findLastQuestion(req.user._id, sessionId),
+    ]);
+
+    if (!session || !target) {
+      return res.status(404).json({
+        success: false,
+        message: "Chat message not found",
+      });
+    }
+
+    // Either the reply the conversation ends on, or the last user message
+    // (e.g. when generating its reply failed)
+    const isLatest = lastQuestion && (target.role === "user"
+      ? lastQuestion._id.equals(target._id)
+      : target.role === "assistant" && target.timestamp > lastQuestion.timestamp);
+    if (!isLatest) {
+      return res.status(409).json({
+        success: false,
+        message: "Only the latest reply can be regenerated",
+      });
+    }
+
+    // Set the current reply aside; it stays available as an earlier version.
+    // Replies from before versioning get their replyTo here. The update only
+    // applies to replies still current, so a concurrent request that already
+    // set them aside wins; the unique index on current replies settles the rest.
+    const previous = await ChatMessage.find({
+      userId: req.user._id,
+      sessionId,
+      role: "assistant",
+      timestamp: { $gt: lastQuestion.timestamp },
+      ...CURRENT_VERSION,
+    }).select("_id");
+    const previousIds = previous.map((doc) => doc._id);
+    const setAside = await ChatMessage.updateMany(
+      { _id: { $in: previousIds }, ...CURRENT_VERSION },
+      { isCurrent: false, replyTo: lastQuestion._id }
+    );
+    if (previousIds.length > 0 && setAside.modifiedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        message: "This reply is already being regenerated",
+      });
+    }
+
+    let reply;
+    try {
+      reply = await generateCompanionReply(req.user._id, sessionId);
+    } catch (error) {
+      console.error("Companion reply error:", error.message);
+      await restoreReplies(previousIds);
+      return res.status(502).json({
+        success: false,
+        message: "Could not generate a reply, please try again",
+      });
+    }
+
+    let assistantMessage;
+    try {
+      assistantMessage = await ChatMessage.create({
+        userId: req.user._id,
+        sessionId,
+        role: "assistant",
+        content: reply.content,
+        replyTo: lastQuestion._id,
+      });
+    } catch (error) {
+      // Another request made a reply current in the meantime; keep that one
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: "This reply was changed while regenerating",
+        });
+      }
+      throw error;
+    }
+
+    session.lastMessageAt = Date.now();
+    await session.save();
+    scheduleSessionInsights(req.user._id, sessionId);
+
+    const [data] = await addVersionInfo(req.user._id, [assistantMessage.toJSON()]);
+    res.status(201).json({
+      success: true,
+      data: { assistantMessage: data },
+    });
+  } catch (error) {
+    console.error("Regenerate reply error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+const getReplyVersions = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { sessionId, messageId } = req.params;
+
+    const message = await ChatMessage.findOne({
+      _id: messageId,
+      sessionId,
+      userId: req.user._id,
+      role: "assistant",
+    });
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: "Reply not found",
+      });
+    }
+
+    const versions = message.replyTo
+      ? await ChatMessage.find({
+        userId: req.user._id,
+        sessionId,
+        replyTo: message.replyTo,
+      }).sort({ timestamp: 1 })
+      : [message];
+    const { items, unreadable } = toReadable(versions, "chatMessage");
+
+    res.json({
+      success: true,
+      data: await addVersionInfo(req.user._id, items),
+      unreadable,
+    });
+  } catch (error) {
+    console.error("Get reply versions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+const selectReplyVersion = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { sessionId, messageId } = req.params;
+
+    const [message, lastQuestion] = await Promise.all([
+      ChatMessage.findOne({
+        _id: messageId,
+        sessionId,
+        userId: req.user._id,
+        role: "assistant",
+      }),
+      findLastQuestion(req.user._id, sessionId),
+    ]);
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: "Reply not found",
+      });
+    }
+
+    // Earlier turns are fixed once the conversation has moved on
+    if (!message.replyTo || !lastQuestion || !lastQuestion._id.equals(message.replyTo)) {
+      return res.status(409).json({
+        success: false,
+        message: "Only versions of the latest reply can be selected",
+      });
+    }
+
+    await ChatMessage.updateMany(
+      {
+        userId: req.user._id,
+        sessionId,
+        replyTo: message.replyTo,
+        _id: { $ne: message._id },
+      },
+      { isCurrent: false }
+    );
+    // The unique index on current replies turns a concurrent selection of
+    // another version into a conflict instead of two current replies
+    const selected = await ChatMessage.updateOne(
+      { _id: message._id },
+      { isCurrent: true }
+    ).catch((error) => {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      return null;
+    });
+    if (!selected) {
+      return res.status(409).json({
+        success: false,
+        message: "Another version was selected at the same time, please try again",
+      });
+    }
+    message.isCurrent = true;
+
+    const [data] = await addVersionInfo(req.user._id, [message.toJSON()]);
+    res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    console.error("Select reply version error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+const sendFile = (res, { content, contentType, fileName }) => {
+  const body = Buffer.isBuffer(content) ? content : Buffer.from(content, "utf8");
+  res.set({
+    "Content-Type": contentType,
+    "Content-Disposition": `attachment; filename="${fileName}"`,
+    "Content-Length": body.length,
+    "Cache-Control": "no-store",
+  });
+  res.send(body);
+};
+
+const exportChatSession = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const transcript = await loadTranscript(req.user._id, req.params.sessionId);
+    if (!transcript) {
+      return res.status(404).json({
+        success: false,
+        message: "Chat session not found",
+      });
+    }
+
+    sendFile(res, renderTranscript(transcript, req.query.format || "md"));
+  } catch (error) {
+    console.error("Export chat session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+const exportAllChatSessions = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const format = req.query.format || "md";
+    const { buffer, sessionCount } = await buildTranscriptArchive(req.user._id, format);
+    if (sessionCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "No chat sessions to export",
+      });
+    }
+
+    sendFile(res, {
+      content: buffer,
+      contentType: "application/zip",
+      fileName: `eunoia-chats-${new Date().toISOString().slice(0, 10)}-${FORMATS[format].extension}.zip`,
+    });
+  } catch (error) {
+    console.error("Export all chat sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
 module.exports = {
   getChatSessions,
   getChatSession,
   createChatSession,
   addChatMessage,
+  replyToChat,
+  streamChatReply,
   updateChatSession,
+  archiveChatSession,
+  unarchiveChatSession,
+  pinChatSession,
+  unpinChatSession,
   deleteChatSession,
   getChatMessages,
+  searchChatHistory,
+  exportChatSession,
+  exportAllChatSessions,
+  rateReply,
+  clearReplyFeedback,
+  editChatMessage,
+  regenerateReply,
+  getReplyVersions,
+  selectReplyVersion,
   getMindfulnessStreak,
 };
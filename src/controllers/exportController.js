@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const ExportJob = require('../models/ExportJob');
+const { startExport, readExportArchive } = require('../utils/dataExport');
+const {
+  generateDownloadToken,
+  verifyDownloadToken
+} = require('../utils/tokenService');
+
+// Shape an export job for the client, minting a fresh download link when ready
+const serializeJob = (req, job) => {
+  const data = {
+    _id: job._id,
+    status: job.status,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt,
+    expiresAt: job.expiresAt,
+    size: job.size,
+    recordCounts: job.recordCounts,
+    error: job.error
+  };
+
+  if (job.status === 'ready') {
+    const { token, expiresAt } = generateDownloadToken(job);
+    data.downloadUrl = `${req.protocol}://${req.get('host')}/api/auth/export/${job._id}/download?token=${token}`;
+    data.downloadUrlExpiresAt = expiresAt;
+  }
+
+  return data;
+};
+
+const requestExport = async (req, res) => {
+  try {
+    const job = await startExport(req.user);
+
+    res.status(job.status === 'ready' ? 201 : 202).json({
+      success: true,
+      message: job.status === 'ready'
+        ? 'Your export is ready to download'
+        : 'Your export is being prepared, check its status shortly',
+      data: serializeJob(req, job)
+    });
+  } catch (error) {
+    console.error('Request export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+const getExportStatus = async (req, res) => {
+  try {
+    const job = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await ExportJob.findOne({ _id: req.params.id, userId: req.user._id })
+      : null;
+
+    if (!job || (job.expiresAt && job.expiresAt <= Date.now())) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: serializeJob(req, job)
+    });
+  } catch (error) {
+    console.error('Get export status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// Public route: access is granted by the signed, short-lived link token
+const downloadExport = async (req, res) => {
+  try {
+    let link;
+    try {
+      link = verifyDownloadToken(req.query.token);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const job = link.jobId === req.params.id
+      ? await ExportJob.findById(req.params.id)
+      : null;
+
+    if (!job || job.status !== 'ready' || job.expiresAt <= Date.now()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export not found or has expired'
+      });
+    }
+
+    const archive = await readExportArchive(job);
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${job.fileName}"`,
+      'Content-Length': archive.length,
+      'Cache-Control': 'no-store'
+    });
+    res.send(archive);
+  } catch (error) {
+    console.error('Download export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  requestExport,
+  getExportStatus,
+  downloadExport
+};
@@ -0,0 +1,89 @@
+const { validationResult } = require('express-validator');
+const { getMoodTrends } = require('../utils/moodTrends');
+const { getTypingPatterns } = require('../utils/typingPatterns');
+
+const DEFAULT_RANGE_DAYS = 90;
+const DEFAULT_WINDOW = 7;
+const DEFAULT_RECENT_DAYS = 7;
+const DEFAULT_BASELINE_DAYS = 60;
+
+const getMoodInsights = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    const startDate = req.query.startDate
+      ? new Date(req.query.startDate)
+      : new Date(endDate.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+    if (startDate > endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start date must be before end date'
+      });
+    }
+
+    const trends = await getMoodTrends(req.user._id, {
+      startDate,
+      endDate,
+      interval: req.query.interval || 'day',
+      timezone: req.query.timezone || 'UTC',
+      window: req.query.window ? parseInt(req.query.window, 10) : DEFAULT_WINDOW
+    });
+
+    res.json({
+      success: true,
+      data: trends
+    });
+  } catch (error) {
+    console.error('Get mood insights error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+const getTypingInsights = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const patterns = await getTypingPatterns(req.user._id, {
+      days: req.query.days ? parseInt(req.query.days, 10) : DEFAULT_RECENT_DAYS,
+      baselineDays: req.query.baselineDays ? parseInt(req.query.baselineDays, 10) : DEFAULT_BASELINE_DAYS,
+      timezone: req.query.timezone || 'UTC'
+    });
+
+    res.json({
+      success: true,
+      data: patterns
+    });
+  } catch (error) {
+    console.error('Get typing insights error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getMoodInsights,
+  getTypingInsights
+};
@@ -1,5 +1,10 @@
 const JournalEntry = require('../models/JournalEntry');
 const { validationResult } = require('express-validator');
+const { buildSearchTokens, buildQueryTokens } = require('../utils/searchIndex');
+const { toReadable } = require('../utils/unreadableRecords');
+const { assessRisk } = require('../utils/riskMonitor');
+const { scheduleMemoryExtraction, forgetMemoriesFrom } = require('../utils/memoryStore');
+const { analyzeEntry } = require('../utils/emotionAnalyzer');
 
 const getJournalEntries = async (req, res) => {
   try {
@@ -12,10 +17,12 @@ const getJournalEntries = async (req, res) => {
       .exec();
 
     const count = await JournalEntry.countDocuments({ userId: req.user._id });
+    const { items, unreadable } = toReadable(entries, 'journalEntry');
 
     res.json({
       success: true,
-      data: entries,
+      data: items,
+      unreadable,
       totalPages: Math.ceil(count / limit),
       currentPage: parseInt(page),
       total: count
@@ -44,9 +51,18 @@ const getJournalEntry = async (req, res) => {
       });
     }
 
+    const { items, unreadable } = toReadable([entry], 'journalEntry');
+    if (unreadable.length > 0) {
+      return res.status(422).json({
+        success: false,
+        message: 'Journal entry could not be decrypted',
+        unreadable
+      });
+    }
+
     res.json({
       success: true,
-      data: entry
+      data: items[0]
     });
   } catch (error) {
     console.error('Get journal entry error:', error);
@@ -69,19 +85,17 @@ const createJournalEntry = async (req, res) => {
       });
     }
 
-    const { title, content, mood, tags, isPrivate, keystrokeData, mlAnalysis } = req.body;
+    const { title, content, mood, tags, isPrivate, keystrokeData } = req.body;
 
     console.log('=== Creating Journal Entry ===');
     console.log('Title:', title);
     console.log('Content preview:', content?.substring(0, 50) + '...');
     console.log('Mood from frontend:', mood);
     console.log('Tags from frontend:', tags);
-    console.log('ML Analysis from frontend:', mlAnalysis ? 'Present' : 'Not present');
-    if (mlAnalysis) {
-      console.log('ML Analysis structure:', JSON.stringify(mlAnalysis, null, 2));
-      console.log('ML Analysis keys:', Object.keys(mlAnalysis));
-      console.log('Primary emotion:', mlAnalysis.primary_emotion);
-    }
+
+    // Analyzed here rather than taken from the client, so every entry gets
+    // the same, verifiable analysis
+    const mlAnalysis = await analyzeEntry({ title, content });
 
     const entry = await JournalEntry.create({
       userId: req.user._id,
@@ -90,7 +104,7 @@ const createJournalEntry = async (req, res) => {
       mood, // Use mood from frontend
       tags: tags || [],
       isPrivate: isPrivate !== undefined ? isPrivate : true,
-      mlAnalysis, // Store ML analysis received from frontend
+      mlAnalysis: mlAnalysis || undefined,
       keystrokeData // Store keystroke dynamics data
     });
 
@@ -101,9 +115,18 @@ const createJournalEntry = async (req, res) => {
       mlAnalysisKeys: entry.mlAnalysis ? Object.keys(entry.mlAnalysis) : []
     });
 
+    const risk = await assessRisk(req.user, {
+      source: 'journal',
+      sourceId: entry._id,
+      text: `${title}\n${content}`,
+      mlAnalysis
+    });
+    scheduleMemoryExtraction(req.user._id, { type: 'journal', id: entry._id }, `${title}\n${content}`);
+
     res.status(201).json({
       success: true,
-      data: entry
+      data: entry,
+      ...(risk && { risk })
     });
   } catch (error) {
     console.error('Create journal entry error:', error);
@@ -130,26 +153,60 @@ const updateJournalEntry = async (req, res) => {
     }
 
     const { title, content, mood, tags, isPrivate } = req.body;
+    const updates = {
+      title: title || entry.title,
+      content: content || entry.content,
+      mood: mood || entry.mood,
+      tags: tags !== undefined ? tags : entry.tags,
+      isPrivate: isPrivate !== undefined ? isPrivate : entry.isPrivate,
+      updatedAt: Date.now()
+    };
 
-    entry = await JournalEntry.findByIdAndUpdate(
-      req.params.id,
-      {
-        title: title || entry.title,
-        content: content || entry.content,
-        mood: mood || entry.mood,
-        tags: tags !== undefined ? tags : entry.tags,
-        isPrivate: isPrivate !== undefined ? isPrivate : entry.isPrivate,
-        updatedAt: Date.now()
-      },
+    const searchTokens = buildSearchTokens(req.user._id, updates);
+    if (searchTokens) {
+      updates.searchTokens = searchTokens;
+    }
+
+    // Edited text is analyzed again. If that fails the old analysis is
+    // dropped rather than kept for text it no longer describes, and the
+    // backfill script redoes it.
+    const mlAnalysis = (title || content) ? await analyzeEntry(updates) : null;
+    if (mlAnalysis) {
+      updates.mlAnalysis = mlAnalysis;
+    } else if (title || content) {
+      updates.$unset = { mlAnalysis: 1 };
+    }
+
+    // Filter on userId too: the encrypting setters take the owner from it
+    entry = await JournalEntry.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id },
+      updates,
       {
         new: true,
         runValidators: true
       }
     );
 
+    // Only new text is checked again
+    const risk = (title || content)
+      ? await assessRisk(req.user, {
+        source: 'journal',
+        sourceId: entry._id,
+        text: `${title || ''}\n${content || ''}`,
+        mlAnalysis
+      })
+      : null;
+
+    // Memories from the old text may no longer hold
+    if (title || content) {
+      await forgetMemoriesFrom(req.user._id, { ids: [entry._id] });
+      scheduleMemoryExtraction(req.user._id, { type: 'journal', id: entry._id }, `${entry.title}\n${entry.content}`);
+    }
+
     res.json({
       success: true,
-      data: entry
+      data: entry,
+      ...(risk && { risk })
     });
   } catch (error) {
     console.error('Update journal entry error:', error);
@@ -176,6 +233,7 @@ const deleteJournalEntry = async (req, res) => {
     }
 
     await entry.deleteOne();
+    await forgetMemoriesFrom(req.user._id, { ids: [entry._id] });
 
     res.json({
       success: true,
@@ -197,15 +255,6 @@ const searchJournalEntries = async (req, res) => {
 
     let searchQuery = { userId: req.user._id };
 
-    // Text search
-    if (query) {
-      searchQuery.$or = [
-        { title: { $regex: query, $options: 'i' } },
-        { content: { $regex: query, $options: 'i' } },
-        { tags: { $regex: query, $options: 'i' } }
-      ];
-    }
-
     // Filter by mood
     if (mood) {
       searchQuery.mood = mood;
@@ -218,13 +267,62 @@ const searchJournalEntries = async (req, res) => {
       if (endDate) searchQuery.createdAt.$lte = new Date(endDate);
     }
 
-    const entries = await JournalEntry.find(searchQuery)
-      .sort({ createdAt: -1 });
+    if (!query) {
+      const entries = await JournalEntry.find(searchQuery)
+        .sort({ createdAt: -1 });
+      const { items, unreadable } = toReadable(entries, 'journalEntry');
+
+      return res.json({
+        success: true,
+        data: items,
+        count: items.length,
+        unreadable
+      });
+    }
+
+    // Text search: title and content are encrypted, so match on the blind
+    // index and rank by the number of query terms found, then by recency
+    const terms = buildQueryTokens(req.user._id, query);
+    if (terms.length === 0) {
+      return res.json({
+        success: true,
+        data: [],
+        count: 0,
+        unreadable: []
+      });
+    }
+
+    const results = await JournalEntry.aggregate([
+      { $match: { ...searchQuery, searchTokens: { $in: terms.flat() } } },
+      {
+        $addFields: {
+          matchCount: {
+            $add: terms.map(candidates => ({
+              $cond: [{ $gt: [{ $size: { $setIntersection: ['$searchTokens', candidates] } }, 0] }, 1, 0]
+            }))
+          }
+        }
+      },
+      { $sort: { matchCount: -1, createdAt: -1 } },
+      { $project: { searchTokens: 0 } }
+    ]);
+
+    // Hydrate so the decrypting getters run
+    const matchCounts = new Map(results.map(doc => [String(doc._id), doc.matchCount]));
+    const { items, unreadable } = toReadable(
+      results.map(({ matchCount, ...doc }) => JournalEntry.hydrate(doc)),
+      'journalEntry'
+    );
+    const entries = items.map(entry => ({
+      ...entry,
+      matchCount: matchCounts.get(String(entry._id))
+    }));
 
     res.json({
       success: true,
       data: entries,
-      count: entries.length
+      count: entries.length,
+      unreadable
     });
   } catch (error) {
     console.error('Search journal entries error:', error);
@@ -0,0 +1,173 @@
+const Memory = require('../models/Memory');
+const { validationResult } = require('express-validator');
+const { toReadable } = require('../utils/unreadableRecords');
+
+const getMemories = async (req, res) => {
+  try {
+    const memories = await Memory.find({ userId: req.user._id }).sort({ createdAt: -1 });
+    const { items, unreadable } = toReadable(memories, 'memory');
+
+    res.json({
+      success: true,
+      data: items,
+      unreadable,
+      total: memories.length
+    });
+  } catch (error) {
+    console.error('Get memories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+const createMemory = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const memory = await Memory.create({
+      userId: req.user._id,
+      content: req.body.content,
+      source: { type: 'user' }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: memory
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'This is already remembered'
+      });
+    }
+    console.error('Create memory error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+const updateMemory = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const memory = await Memory.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!memory) {
+      return res.status(404).json({
+        success: false,
+        message: 'Memory not found'
+      });
+    }
+
+    // Saved rather than updated in place so the search index follows
+    memory.content = req.body.content;
+    memory.editedAt = Date.now();
+    await memory.save();
+
+    res.json({
+      success: true,
+      data: memory
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'This is already remembered'
+      });
+    }
+    console.error('Update memory error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+const deleteMemory = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const result = await Memory.deleteOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Memory not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Memory deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete memory error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+const clearMemories = async (req, res) => {
+  try {
+    const result = await Memory.deleteMany({ userId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'All memories deleted',
+      deletedMemories: result.deletedCount
+    });
+  } catch (error) {
+    console.error('Clear memories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getMemories,
+  createMemory,
+  updateMemory,
+  deleteMemory,
+  clearMemories
+};
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const {
+  RECORD_TYPES,
+  findUnreadableRecords,
+  deleteUnreadableRecord
+} = require('../utils/unreadableRecords');
+
+const getUnreadableRecords = async (req, res) => {
+  try {
+    const records = await findUnreadableRecords(req.user._id);
+
+    res.json({
+      success: true,
+      data: records,
+      count: records.length
+    });
+  } catch (error) {
+    console.error('Get unreadable records error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+const deleteUnreadable = async (req, res) => {
+  try {
+    const { type, id } = req.params;
+
+    if (!RECORD_TYPES[type]) {
+      return res.status(400).json({
+        success: false,
+        message: `Record type must be one of: ${Object.keys(RECORD_TYPES).join(', ')}`
+      });
+    }
+
+    const result = mongoose.Types.ObjectId.isValid(id)
+      ? await deleteUnreadableRecord(req.user._id, type, id)
+      : null;
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Record not found'
+      });
+    }
+
+    if (result.readable) {
+      return res.status(409).json({
+        success: false,
+        message: 'Record is readable, delete it through its own endpoint'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Unreadable record deleted',
+      data: { deleted: result.deleted }
+    });
+  } catch (error) {
+    console.error('Delete unreadable record error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getUnreadableRecords,
+  deleteUnreadable
+};
@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const RiskEvent = require('../models/RiskEvent');
+const { validationResult } = require('express-validator');
+const { getCrisisResources } = require('../utils/crisisResources');
+const { hashToken } = require('../utils/tokenService');
+const { escapeHtml, sendTrustedContactConfirmation } = require('../utils/emailService');
+
+// At most one confirmation email per interval, so the settings can't be
+// used to send mail to a list of addresses
+const INVITATION_INTERVAL_MS = 10 * 60 * 1000;
+const CONFIRMATION_EXPIRE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const serializeSettings = (user) => ({
+  region: user.region || null,
+  trustedContact: user.trustedContact && user.trustedContact.email
+    ? {
+      name: user.trustedContact.name,
+      email: user.trustedContact.email,
+      notifyOnRisk: user.trustedContact.notifyOnRisk,
+      status: user.trustedContact.confirmedAt ? 'confirmed' : 'pending'
+    }
+    : null
+});
+
+const canInvite = (user) => {
+  return !user.trustedContactInvitedAt || user.trustedContactInvitedAt.getTime() <= Date.now() - INVITATION_INTERVAL_MS;
+};
+
+// Store a new confirmation token for the pending contact and email its link.
+// The token starts with the user id so the public route can find the user.
+const inviteTrustedContact = async (req, user) => {
+  const token = `${user._id}.${crypto.randomBytes(32).toString('hex')}`;
+  user.trustedContact.confirmationTokenHash = hashToken(token);
+  user.trustedContactInvitedAt = Date.now();
+  await user.save();
+
+  const confirmUrl = `${req.protocol}://${req.get('host')}/api/safety/trusted-contact/confirm?token=${token}`;
+  try {
+    await sendTrustedContactConfirmation(user, confirmUrl);
+  } catch (error) {
+    console.error('Failed to send trusted contact confirmation:', error);
+  }
+};
+
+const renderPage = (title, body) => {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${title} - Eunoia</title>
+</head>
+<body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 40px auto; padding: 0 20px;">
+  <h1>${title}</h1>
+  ${body}
+</body>
+</html>`;
+};
+
+// Find the user a confirmation token was issued for, if it is still valid
+const findByConfirmationToken = async (token) => {
+  const [userId] = String(token || '').split('.');
+  if (!/^[a-f0-9]{24}$/.test(userId)) {
+    return null;
+  }
+
+  const user = await User.findById(userId).select('+trustedContact.confirmationTokenHash');
+  const contact = user && user.trustedContact;
+  const valid = contact &&
+    contact.email &&
+    !contact.confirmedAt &&
+    contact.confirmationTokenHash === hashToken(token) &&
+    user.trustedContactInvitedAt &&
+    user.trustedContactInvitedAt.getTime() > Date.now() - CONFIRMATION_EXPIRE_MS;
+
+  return valid ? user : null;
+};
+
+const getSafetySettings = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: serializeSettings(req.user)
+    });
+  } catch (error) {
+    console.error('Get safety settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+const updateSafetySettings = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { region, trustedContact } = req.body;
+    const user = await User.findById(req.user._id);
+
+    if (region !== undefined) {
+      user.region = region || undefined;
+    }
+
+    // null removes the contact. A new address starts out pending and is
+    // sent a confirmation link; name and notifyOnRisk can change freely.
+    let invite = false;
+    if (trustedContact === null) {
+      user.trustedContact = undefined;
+    } else if (trustedContact !== undefined) {
+      const email = trustedContact.email.trim().toLowerCase();
+      const current = user.trustedContact;
+
+      if (current && current.email === email) {
+        current.name = trustedContact.name;
+        current.notifyOnRisk = !!trustedContact.notifyOnRisk;
+      } else {
+        if (!canInvite(user)) {
+          return res.status(429).json({
+            success: false,
+            message: 'Please wait a few minutes before adding another trusted contact'
+          });
+        }
+        user.trustedContact = {
+          name: trustedContact.name,
+          email,
+          notifyOnRisk: !!trustedContact.notifyOnRisk
+        };
+        invite = true;
+      }
+    }
+
+    if (invite) {
+      await inviteTrustedContact(req, user);
+    } else {
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      message: invite
+        ? 'Safety settings updated. Your trusted contact will be notified only after they confirm by email'
+        : 'Safety settings updated',
+      data: serializeSettings(user)
+    });
+  } catch (error) {
+    console.error('Update safety settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+const resendTrustedContactConfirmation = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const contact = user.trustedContact;
+
+    if (!contact || !contact.email || contact.confirmedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'There is no trusted contact waiting for confirmation'
+      });
+    }
+
+    if (!canInvite(user)) {
+      return res.status(429).json({
+        success: false,
+        message: 'Please wait a few minutes before sending another confirmation email'
+      });
+    }
+
+    await inviteTrustedContact(req, user);
+
+    res.json({
+      success: true,
+      message: 'Confirmation email sent',
+      data: serializeSettings(user)
+    });
+  } catch (error) {
+    console.error('Resend trusted contact confirmation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// Public route opened from the confirmation email. It only shows a button:
+// confirming takes a POST, so link scanners that fetch the URL don't
+// confirm on the contact's behalf.
+const showTrustedContactConfirmation = async (req, res) => {
+  try {
+    const user = await findByConfirmationToken(req.query.token);
+    if (!user) {
+      return res.status(404).send(renderPage(
+        'Link expired',
+        '<p>This confirmation link is invalid, has expired or was already used.</p>'
+      ));
+    }
+
+    res.send(renderPage(
+      'Confirm trusted contact',
+      `<p>${escapeHtml(user.name)} would like you to be their trusted contact on Eunoia. We will email you if something they write suggests they may be going through a hard time. We never share what they wrote.</p>
+  <form method="POST" action="/api/safety/trusted-contact/confirm">
+    <input type="hidden" name="token" value="${escapeHtml(req.query.token)}">
+    <button type="submit">I agree to be a trusted contact</button>
+  </form>
+  <p>If you don't know them or don't want to be their trusted contact, just close this page.</p>`
+    ));
+  } catch (error) {
+    console.error('Show trusted contact confirmation error:', error);
+    res.status(500).send(renderPage('Something went wrong', '<p>Please try again later.</p>'));
+  }
+};
+
+const confirmTrustedContact = async (req, res) => {
+  try {
+    const user = await findByConfirmationToken(req.body.token);
+    if (!user) {
+      return res.status(404).send(renderPage(
+        'Link expired',
+        '<p>This confirmation link is invalid, has expired or was already used.</p>'
+      ));
+    }
+
+    // Only the contact the token was issued for is confirmed
+    await User.updateOne(
+      {
+        _id: user._id,
+        'trustedContact.email': user.trustedContact.email,
+        'trustedContact.confirmationTokenHash': user.trustedContact.confirmationTokenHash
+      },
+      {
+        $set: { 'trustedContact.confirmedAt': Date.now() },
+        $unset: { 'trustedContact.confirmationTokenHash': 1 }
+      }
+    );
+
+    res.send(renderPage(
+      'Thank you',
+      `<p>You are now ${escapeHtml(user.name)}'s trusted contact. You can close this page.</p>`
+    ));
+  } catch (error) {
+    console.error('Confirm trusted contact error:', error);
+    res.status(500).send(renderPage('Something went wrong', '<p>Please try again later.</p>'));
+  }
+};
+
+const getResources = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: getCrisisResources(req.query.region || req.user.region)
+    });
+  } catch (error) {
+    console.error('Get crisis resources error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+const getRiskEvents = async (req, res) => {
+  try {
+    const events = await RiskEvent.find({ userId: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({
+      success: true,
+      data: events
+    });
+  } catch (error) {
+    console.error('Get risk events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getSafetySettings,
+  updateSafetySettings,
+  resendTrustedContactConfirmation,
+  showTrustedContactConfirmation,
+  confirmTrustedContact,
+  getResources,
+  getRiskEvents
+};
@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const {
+  generateAccessToken,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions
+} = require('../utils/tokenService');
+
+const refreshToken = async (req, res) => {
+  try {
+    const { refreshToken: presentedToken } = req.body;
+
+    if (!presentedToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a refresh token'
+      });
+    }
+
+    const { session, refreshToken: nextToken } = await rotateRefreshToken(presentedToken, req);
+
+    const user = await User.findById(session.userId);
+    if (!user || !user.isActive) {
+      await revokeSession(session, 'account_unavailable');
+      return res.status(401).json({
+        success: false,
+        message: 'Account is not available'
+      });
+    }
+
+    // Issued before a password change, reset or "log out everywhere"
+    if (session.tokenVersion !== user.tokenVersion) {
+      await revokeSession(session, 'tokens_invalidated');
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired, please log in again'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: generateAccessToken(user, session),
+        refreshToken: nextToken,
+        sessionId: session._id
+      }
+    });
+  } catch (error) {
+    if (error.status === 401) {
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+const logout = async (req, res) => {
+  try {
+    await revokeSession(req.authSession, 'logout');
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+const logoutAll = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    user.invalidateTokens();
+    await user.save();
+
+    const revoked = await revokeAllSessions(user._id, 'logout_all');
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices',
+      data: { revokedSessions: revoked }
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: sessions.map((session) => ({
+        _id: session._id,
+        deviceName: session.deviceName,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: session._id.equals(req.authSession._id)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+const deleteSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const session = await Session.findOne({
+      _id: id,
+      userId: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(session, 'signed_out_remotely');
+
+    res.json({
+      success: true,
+      message: 'Session signed out successfully'
+    });
+  } catch (error) {
+    console.error('Delete session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  refreshToken,
+  logout,
+  logoutAll,
+  getSessions,
+  deleteSession
+};
@@ -0,0 +1,269 @@
+const User = require('../models/User');
+const { buildOtpauthURI } = require('../utils/totp');
+const { sendAccountLockedEmail } = require('../utils/emailService');
+const {
+  createSession,
+  verifyTwoFactorChallenge
+} = require('../utils/tokenService');
+
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep';
+
+const invalidCode = (res) => {
+  return res.status(401).json({
+    success: false,
+    message: 'Invalid two-factor code'
+  });
+};
+
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = user.startTwoFactorEnrollment();
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Scan the code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: buildOtpauthURI(secret, user.email)
+      }
+    });
+  } catch (error) {
+    console.error('Setup two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+const confirmTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    if (!user.confirmTwoFactorEnrollment(code)) {
+      return invalidCode(res);
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('Confirm two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your password and a current two-factor code'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    const codeValid = code
+      ? user.verifyTwoFactorCode(code)
+      : await user.useRecoveryCode(recoveryCode);
+    if (!codeValid) {
+      return invalidCode(res);
+    }
+
+    user.disableTwoFactor();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!user.verifyTwoFactorCode(code)) {
+      return invalidCode(res);
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. Any previous codes no longer work.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// Second login step: exchange the challenge from `login` plus a TOTP or
+// recovery code for real tokens
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the login challenge and a two-factor code'
+      });
+    }
+
+    let challenge;
+    try {
+      challenge = verifyTwoFactorChallenge(challengeToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const user = await User.findById(challenge.id).select(TWO_FACTOR_FIELDS);
+
+    if (
+      !user ||
+      !user.isActive ||
+      !user.twoFactorEnabled ||
+      user.tokenVersion !== challenge.tv ||
+      user.isLocked()
+    ) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login attempt expired, please log in again'
+      });
+    }
+
+    const codeValid = code
+      ? user.verifyTwoFactorCode(code)
+      : await user.useRecoveryCode(recoveryCode);
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    if (!codeValid) {
+      const locked = await user.registerFailedLogin();
+      if (locked) {
+        sendAccountLockedEmail(user, user.lockUntil).catch(err => {
+          console.error('Failed to send account locked email:', err);
+        });
+      }
+      return invalidCode(res);
+    }
+
+    user.resetLoginAttempts();
+    const deletionCancelled = user.cancelDeletion();
+    user.lastLogin = Date.now();
+    await user.save({ validateBeforeSave: false });
+
+    const tokens = await createSession(user, req);
+
+    res.json({
+      success: true,
+      data: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        emailVerified: user.isEmailVerified(),
+        ...(deletionCancelled && { deletionCancelled }),
+        ...(recoveryCode && {
+          recoveryCodesRemaining: user.twoFactorRecoveryCodes.length
+        }),
+        ...tokens
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin
+};
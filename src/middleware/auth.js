@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { loadUserKey } = require('../utils/userKeys');
 
 const protect = async (req, res, next) => {
   let token;
@@ -16,8 +18,20 @@ const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Access tokens are bound to a session so they stop working as soon
+      // as that device is signed out
+      const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+
+      if (!session || !session.isUsable() || !session.userId.equals(decoded.id)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session expired, please log in again'
+        });
+      }
+
       // Get user from token (excluding password)
       req.user = await User.findById(decoded.id).select('-password');
+      req.authSession = session;
 
       if (!req.user) {
         return res.status(401).json({
@@ -33,6 +47,20 @@ const protect = async (req, res, next) => {
         });
       }
 
+      // Password changes, resets and "log out everywhere" bump the version
+      if (
+        decoded.tv !== req.user.tokenVersion ||
+        req.user.changedPasswordAfter(decoded.iat)
+      ) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session expired, please log in again'
+        });
+      }
+
+      // Model getters/setters need the user's data key in memory
+      await loadUserKey(req.user._id);
+
       next();
     } catch (error) {
       console.error('Auth middleware error:', error);
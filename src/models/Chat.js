@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
-const { encrypt, decrypt } = require('../utils/encryption');
+const { encryptForOwner, decryptForOwner } = require('../utils/userKeys');
+const { buildSearchTokens } = require('../utils/searchIndex');
+
+const DEFAULT_SESSION_TITLE = 'New Chat';
+
+// Filter for the messages that make up a conversation, leaving out replies
+// replaced by a regenerated version (older messages have no isCurrent)
+const CURRENT_VERSION = { isCurrent: { $ne: false } };
 
 const chatMessageSchema = new mongoose.Schema({
   userId: {
@@ -21,12 +28,41 @@ const chatMessageSchema = new mongoose.Schema({
   content: {
     type: String,
     required: [true, 'Message content is required'],
-    set: encrypt, // Encrypt on save
-    get: decrypt  // Decrypt on read
+    set: encryptForOwner, // Encrypt with the owner's data key on save
+    get: decryptForOwner  // Decrypt on read
   },
   timestamp: {
     type: Date,
     default: Date.now
+  },
+  // Assistant replies: the user message answered. Regenerated replies share
+  // it, and only the current version is part of the conversation.
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChatMessage'
+  },
+  isCurrent: {
+    type: Boolean,
+    default: true
+  },
+  editedAt: Date,
+  // The user's rating of an assistant reply
+  feedback: {
+    rating: {
+      type: String,
+      enum: ['up', 'down']
+    },
+    reason: {
+      type: String,
+      set: encryptForOwner,
+      get: decryptForOwner
+    },
+    ratedAt: Date
+  },
+  // Blind index of keyed word hashes, never plaintext (see utils/searchIndex)
+  searchTokens: {
+    type: [String],
+    select: false
   }
 }, {
   timestamps: true,
@@ -36,6 +72,32 @@ const chatMessageSchema = new mongoose.Schema({
 
 // Compound index for efficient querying
 chatMessageSchema.index({ userId: 1, sessionId: 1, timestamp: 1 });
+chatMessageSchema.index({ userId: 1, replyTo: 1 });
+// One current reply per user message, so concurrent regenerate or select
+// requests can't both end up in the conversation
+chatMessageSchema.index(
+  { replyTo: 1 },
+  { unique: true, partialFilterExpression: { replyTo: { $exists: true }, isCurrent: true } }
+);
+chatMessageSchema.index({ userId: 1, searchTokens: 1 });
+
+// Keep the search index in step with the content
+chatMessageSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('content')) {
+    const tokens = buildSearchTokens(this.userId, { content: this.content });
+    if (tokens) {
+      this.searchTokens = tokens;
+    }
+  }
+  next();
+});
+
+// The search index stays on the server
+chatMessageSchema.methods.toJSON = function() {
+  const message = this.toObject();
+  delete message.searchTokens;
+  return message;
+};
 
 const chatSessionSchema = new mongoose.Schema({
   userId: {
@@ -52,9 +114,27 @@ const chatSessionSchema = new mongoose.Schema({
   },
   title: {
     type: String,
-    default: 'New Chat',
-    set: encrypt, // Encrypt on save
-    get: decrypt  // Decrypt on read
+    default: DEFAULT_SESSION_TITLE,
+    set: encryptForOwner, // Encrypt with the owner's data key on save
+    get: decryptForOwner  // Decrypt on read
+  },
+  // Titles the user chose are never replaced by generated ones
+  titleSetByUser: {
+    type: Boolean,
+    default: false
+  },
+  titleGeneratedAt: Date,
+  // Rolling summary of the conversation, covering messages up to summarizedUntil
+  summary: {
+    type: String,
+    set: encryptForOwner,
+    get: decryptForOwner
+  },
+  summarizedUntil: Date,
+  // Blind index of the title; the default title isn't indexed
+  searchTokens: {
+    type: [String],
+    select: false
   },
   createdAt: {
     type: Date,
@@ -64,10 +144,17 @@ const chatSessionSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // false once archived; archived sessions are left out of the default list
   isActive: {
     type: Boolean,
     default: true
-  }
+  },
+  archivedAt: Date,
+  isPinned: {
+    type: Boolean,
+    default: false
+  },
+  pinnedAt: Date
 }, {
   timestamps: true,
   toJSON: { getters: true }, // Enable getters when converting to JSON
@@ -76,8 +163,27 @@ const chatSessionSchema = new mongoose.Schema({
 
 // Index for faster queries
 chatSessionSchema.index({ userId: 1, lastMessageAt: -1 });
+chatSessionSchema.index({ userId: 1, isActive: 1, lastMessageAt: -1, _id: -1 });
+chatSessionSchema.index({ userId: 1, searchTokens: 1 });
+
+// Untitled sessions all share the default title, which isn't worth finding
+chatSessionSchema.pre('save', function(next) {
+  if ((this.isNew || this.isModified('title')) && this.title !== DEFAULT_SESSION_TITLE) {
+    const tokens = buildSearchTokens(this.userId, { title: this.title });
+    if (tokens) {
+      this.searchTokens = tokens;
+    }
+  }
+  next();
+});
+
+chatSessionSchema.methods.toJSON = function() {
+  const session = this.toObject();
+  delete session.searchTokens;
+  return session;
+};
 
 const ChatMessage = mongoose.model('ChatMessage', chatMessageSchema);
 const ChatSession = mongoose.model('ChatSession', chatSessionSchema);
 
-module.exports = { ChatMessage, ChatSession };
+module.exports = { ChatMessage, ChatSession, DEFAULT_SESSION_TITLE, CURRENT_VERSION };
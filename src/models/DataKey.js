@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Per-user data encryption key, wrapped (encrypted) with the master key.
+// Kept out of the users collection so that deleting it crypto-shreds the
+// user's data, and so it can be given a shorter backup retention than the
+// data it protects.
+const dataKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    unique: true
+  },
+  wrappedKey: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('DataKey', dataKeySchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A personal data export ("takeout"). The archive itself lives encrypted in
+// the `exports` GridFS bucket and is deleted together with the job.
+const exportJobSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed'],
+    default: 'pending'
+  },
+  fileId: mongoose.Schema.Types.ObjectId,
+  fileName: String,
+  size: Number,
+  recordCounts: {
+    journalEntries: Number,
+    chatSessions: Number,
+    chatMessages: Number,
+    wellnessChecks: Number,
+    riskEvents: Number,
+    memories: Number
+  },
+  error: String,
+  startedAt: Date,
+  completedAt: Date,
+  // When the archive is deleted and the download link stops working
+  expiresAt: {
+    type: Date,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+exportJobSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ExportJob', exportJobSchema);
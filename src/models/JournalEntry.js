@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
-const { encrypt, decrypt } = require('../utils/encryption');
+const { encryptForOwner, decryptForOwner } = require('../utils/userKeys');
+const { buildSearchTokens } = require('../utils/searchIndex');
 
 const journalEntrySchema = new mongoose.Schema({
   userId: {
@@ -11,14 +12,14 @@ const journalEntrySchema = new mongoose.Schema({
   title: {
     type: String,
     required: [true, 'Please provide a title'],
-    set: encrypt, // Encrypt on save
-    get: decrypt  // Decrypt on read
+    set: encryptForOwner, // Encrypt with the owner's data key on save
+    get: decryptForOwner  // Decrypt on read
   },
   content: {
     type: String,
     required: [true, 'Please provide content'],
-    set: encrypt, // Encrypt on save
-    get: decrypt  // Decrypt on read
+    set: encryptForOwner, // Encrypt with the owner's data key on save
+    get: decryptForOwner  // Decrypt on read
   },
   mood: {
     type: String,
@@ -32,7 +33,9 @@ const journalEntrySchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Written by the server's emotion analyzer (see utils/emotionAnalyzer)
   mlAnalysis: {
+    analyzer: String,
     primary_emotion: String,
     emotion_confidence: Number,
     detected_emotions: [{
@@ -51,6 +54,11 @@ const journalEntrySchema = new mongoose.Schema({
     error_rate: Number,
     mental_state: String
   },
+  // Blind index of keyed word hashes, never plaintext (see utils/searchIndex)
+  searchTokens: {
+    type: [String],
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -67,5 +75,28 @@ const journalEntrySchema = new mongoose.Schema({
 
 // Index for faster queries
 journalEntrySchema.index({ userId: 1, createdAt: -1 });
+journalEntrySchema.index({ userId: 1, searchTokens: 1 });
+
+// Keep the search index in step with the text it covers
+journalEntrySchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('title') || this.isModified('content') || this.isModified('tags')) {
+    const tokens = buildSearchTokens(this.userId, {
+      title: this.title,
+      content: this.content,
+      tags: this.tags
+    });
+    if (tokens) {
+      this.searchTokens = tokens;
+    }
+  }
+  next();
+});
+
+// The search index stays on the server
+journalEntrySchema.methods.toJSON = function() {
+  const entry = this.toObject();
+  delete entry.searchTokens;
+  return entry;
+};
 
 module.exports = mongoose.model('JournalEntry', journalEntrySchema);
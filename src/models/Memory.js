@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { encryptForOwner, decryptForOwner } = require('../utils/userKeys');
+const { buildSearchTokens, buildFingerprint } = require('../utils/searchIndex');
+
+// Something worth remembering about the user across chat sessions, taken
+// from their chats or journal or added by them
+const memorySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  content: {
+    type: String,
+    required: [true, 'Memory content is required'],
+    set: encryptForOwner, // Encrypt with the owner's data key on save
+    get: decryptForOwner  // Decrypt on read
+  },
+  source: {
+    type: {
+      type: String,
+      enum: ['chat', 'journal', 'user'],
+      default: 'user'
+    },
+    id: mongoose.Schema.Types.ObjectId, // Chat message or journal entry
+    sessionId: String // Chat session, for chat memories
+  },
+  // Keyed hash of the normalized content, to skip duplicates
+  fingerprint: {
+    type: String,
+    select: false
+  },
+  // Blind index used to find memories relevant to a message
+  searchTokens: {
+    type: [String],
+    select: false
+  },
+  lastUsedAt: Date,
+  // Set when the user edits the memory; edited memories are never evicted
+  editedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { getters: true }, // Enable getters when converting to JSON
+  toObject: { getters: true } // Enable getters when converting to object
+});
+
+memorySchema.index({ userId: 1, searchTokens: 1 });
+memorySchema.index(
+  { userId: 1, fingerprint: 1 },
+  { unique: true, partialFilterExpression: { fingerprint: { $type: 'string' } } }
+);
+
+// Keep the fingerprint and search index in step with the content
+memorySchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('content')) {
+    const tokens = buildSearchTokens(this.userId, { content: this.content });
+    if (tokens) {
+      this.searchTokens = tokens;
+    }
+    this.fingerprint = buildFingerprint(this.userId, this.content) || undefined;
+  }
+  next();
+});
+
+// The fingerprint and search index stay on the server
+memorySchema.methods.toJSON = function() {
+  const memory = this.toObject();
+  delete memory.fingerprint;
+  delete memory.searchTokens;
+  return memory;
+};
+
+module.exports = mongoose.model('Memory', memorySchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Content flagged by the risk classifier. Only the rules that fired are
+// kept, never the content itself (which stays encrypted on its own record).
+const riskEventSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  source: {
+    type: String,
+    enum: ['journal', 'chat'],
+    required: true
+  },
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  level: {
+    type: String,
+    enum: ['elevated', 'high'],
+    required: true
+  },
+  signals: [String],
+  classifier: String,
+  // Set when the user's trusted contact was emailed about this event
+  contactNotifiedAt: Date
+}, {
+  timestamps: true
+});
+
+riskEventSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('RiskEvent', riskEventSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A session is one logged-in device. The refresh tokens issued to that device
+// form a single rotation family, so revoking the session revokes the family.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hashes of refresh tokens already rotated out of this family. Presenting
+  // one of these again means the token was stolen and replayed.
+  rotatedTokenHashes: {
+    type: [String],
+    select: false
+  },
+  // User.tokenVersion at login; the session dies once the user's version moves on
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  userAgent: String,
+  ipAddress: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: String
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1, lastUsedAt: -1 });
+
+// Let MongoDB clean up sessions once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isUsable = function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+sessionSchema.methods.toJSON = function() {
+  const session = this.toObject();
+  delete session.refreshTokenHash;
+  delete session.rotatedTokenHashes;
+  return session;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,5 +1,17 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { encrypt, decrypt } = require('../utils/encryption');
+const totp = require('../utils/totp');
+
+// Brute-force protection
+const MAX_LOGIN_ATTEMPTS = 5;
+const BASE_LOCK_MINUTES = 15;
+const MAX_LOCK_MINUTES = 24 * 60;
+const MAX_OTP_ATTEMPTS = 5;
+
+const RECOVERY_CODE_COUNT = 10;
+
+const EMAIL_PATTERN = /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/;
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -14,10 +26,23 @@ const userSchema = new mongoose.Schema({
     unique: true,
     lowercase: true,
     trim: true,
-    match: [
-      /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
-      'Please provide a valid email'
-    ]
+    match: [EMAIL_PATTERN, 'Please provide a valid email']
+  },
+  // Accounts created before verification existed have no flag at all and
+  // are treated as verified; see isEmailVerified()
+  emailVerified: Boolean,
+  // New address waiting for confirmation; `email` stays in use until then
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [EMAIL_PATTERN, 'Please provide a valid email']
+  },
+  emailVerificationOTP: String,
+  emailVerificationOTPExpire: Date,
+  emailVerificationOTPAttempts: {
+    type: Number,
+    default: 0
   },
   password: {
     type: String,
@@ -36,10 +61,98 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Bumped whenever every outstanding token must stop working
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  passwordChangedAt: Date,
   resetPasswordToken: String,
   resetPasswordExpire: Date,
   resetPasswordOTP: String,
-  resetPasswordOTPExpire: Date
+  resetPasswordOTPExpire: Date,
+  resetPasswordOTPAttempts: {
+    type: Number,
+    default: 0
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  // How many times the account has been locked since the last successful
+  // login; each lockout lasts twice as long as the previous one
+  lockoutCount: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date,
+  // Two-factor authentication (TOTP). Secrets are stored encrypted and
+  // recovery codes hashed; none of them are ever returned by default.
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Last accepted time step, so a code can't be replayed within its window
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  // Crisis support: region (ISO 3166-1 alpha-2) selects the crisis lines
+  // shown, and the trusted contact is emailed about high-risk content if
+  // the user opted in
+  region: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{2}$/, 'Region must be a two-letter country code']
+  },
+  trustedContact: {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Name cannot be more than 50 characters']
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      match: [EMAIL_PATTERN, 'Please provide a valid email']
+    },
+    notifyOnRisk: {
+      type: Boolean,
+      default: false
+    },
+    // Pending until the contact follows the link in the confirmation email;
+    // alerts only go to confirmed contacts
+    confirmedAt: Date,
+    confirmationTokenHash: {
+      type: String,
+      select: false
+    },
+    // Claimed before each alert so concurrent risk events send one email
+    lastAlertedAt: Date
+  },
+  // Last confirmation email sent to a trusted contact, to throttle invitations
+  trustedContactInvitedAt: Date,
+  // Soft delete: the account is purged once deletionScheduledFor passes
+  // unless the user logs in again before then
+  deletionRequestedAt: Date,
+  deletionScheduledFor: {
+    type: Date,
+    index: { sparse: true }
+  }
 }, {
   timestamps: true
 });
@@ -51,6 +164,12 @@ userSchema.pre('save', async function(next) {
     return next();
   }
 
+  // A new password invalidates every token issued under the old one
+  if (!this.isNew) {
+    this.passwordChangedAt = Date.now();
+    this.tokenVersion += 1;
+  }
+
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
@@ -60,11 +179,32 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Deactivating an account signs it out everywhere
+userSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('isActive') && !this.isActive) {
+    this.tokenVersion += 1;
+  }
+  next();
+});
+
 // Method to compare passwords
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Invalidate all access and refresh tokens issued so far
+userSchema.methods.invalidateTokens = function() {
+  this.tokenVersion += 1;
+};
+
+// Check whether the password changed after a token was issued
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) {
+    return false;
+  }
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
 // Method to get user without sensitive data
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
@@ -73,6 +213,19 @@ userSchema.methods.toJSON = function() {
   delete user.resetPasswordExpire;
   delete user.resetPasswordOTP;
   delete user.resetPasswordOTPExpire;
+  delete user.resetPasswordOTPAttempts;
+  delete user.failedLoginAttempts;
+  delete user.lockoutCount;
+  delete user.lockUntil;
+  delete user.tokenVersion;
+  delete user.emailVerificationOTP;
+  delete user.emailVerificationOTPExpire;
+  delete user.emailVerificationOTPAttempts;
+  delete user.twoFactorSecret;
+  delete user.twoFactorPendingSecret;
+  delete user.twoFactorRecoveryCodes;
+  delete user.twoFactorLastUsedStep;
+  user.emailVerified = this.isEmailVerified();
   return user;
 };
 
@@ -110,6 +263,7 @@ userSchema.methods.generateResetOTP = function() {
   
   // Set expire (10 minutes)
   this.resetPasswordOTPExpire = Date.now() + 10 * 60 * 1000;
+  this.resetPasswordOTPAttempts = 0;
   
   return otp;
 };
@@ -131,4 +285,248 @@ userSchema.methods.verifyResetOTP = function(otp) {
   );
 };
 
+// Check whether the account's current email address has been confirmed
+userSchema.methods.isEmailVerified = function() {
+  return this.emailVerified !== false;
+};
+
+// Generate 6-digit OTP confirming ownership of the email (or pending email)
+userSchema.methods.generateEmailVerificationOTP = function() {
+  const crypto = require('crypto');
+
+  const otp = crypto.randomInt(100000, 999999).toString();
+
+  this.emailVerificationOTP = crypto
+    .createHash('sha256')
+    .update(otp)
+    .digest('hex');
+
+  // Set expire (24 hours)
+  this.emailVerificationOTPExpire = Date.now() + 24 * 60 * 60 * 1000;
+  this.emailVerificationOTPAttempts = 0;
+
+  return otp;
+};
+
+// Verify email verification OTP
+userSchema.methods.verifyEmailOTP = function(otp) {
+  const crypto = require('crypto');
+
+  const hashedOTP = crypto
+    .createHash('sha256')
+    .update(otp)
+    .digest('hex');
+
+  return (
+    this.emailVerificationOTP === hashedOTP &&
+    this.emailVerificationOTPExpire > Date.now()
+  );
+};
+
+// Record a wrong email verification guess, burning the OTP at the cap
+// Returns the number of attempts left for the current OTP
+userSchema.methods.registerFailedEmailOTPAttempt = async function() {
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, emailVerificationOTP: { $exists: true } },
+    { $inc: { emailVerificationOTPAttempts: 1 } },
+    { new: true }
+  );
+
+  if (!updated) {
+    return 0;
+  }
+
+  const remaining = MAX_OTP_ATTEMPTS - updated.emailVerificationOTPAttempts;
+  if (remaining <= 0) {
+    await this.constructor.updateOne(
+      { _id: this._id },
+      {
+        $unset: {
+          emailVerificationOTP: 1,
+          emailVerificationOTPExpire: 1,
+          emailVerificationOTPAttempts: 1
+        }
+      }
+    );
+    return 0;
+  }
+
+  return remaining;
+};
+
+// Record a wrong OTP guess; the OTP is burned once the cap is reached
+// Returns the number of attempts left for the current OTP
+userSchema.methods.registerFailedOTPAttempt = async function() {
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, resetPasswordOTP: { $exists: true } },
+    { $inc: { resetPasswordOTPAttempts: 1 } },
+    { new: true }
+  );
+
+  if (!updated) {
+    return 0;
+  }
+
+  const remaining = MAX_OTP_ATTEMPTS - updated.resetPasswordOTPAttempts;
+  if (remaining <= 0) {
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { $unset: { resetPasswordOTP: 1, resetPasswordOTPExpire: 1, resetPasswordOTPAttempts: 1 } }
+    );
+    return 0;
+  }
+
+  return remaining;
+};
+
+// Check if the account is temporarily locked after failed logins
+userSchema.methods.isLocked = function() {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Record a failed login, locking the account when the limit is reached
+// Returns true if this attempt caused the account to be locked
+userSchema.methods.registerFailedLogin = async function() {
+  // Increment atomically so parallel guesses can't slip past the limit
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+
+  if (!updated || updated.failedLoginAttempts < MAX_LOGIN_ATTEMPTS) {
+    return false;
+  }
+
+  const lockMinutes = Math.min(
+    BASE_LOCK_MINUTES * Math.pow(2, updated.lockoutCount || 0),
+    MAX_LOCK_MINUTES
+  );
+  this.lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $set: { failedLoginAttempts: 0, lockUntil: this.lockUntil },
+      $inc: { lockoutCount: 1 }
+    }
+  );
+
+  return true;
+};
+
+// Clear failed login tracking after a successful login
+userSchema.methods.resetLoginAttempts = function() {
+  this.failedLoginAttempts = 0;
+  this.lockoutCount = 0;
+  this.lockUntil = undefined;
+};
+
+const hashRecoveryCode = (code) => {
+  const crypto = require('crypto');
+
+  return crypto
+    .createHash('sha256')
+    .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+    .digest('hex');
+};
+
+// Start 2FA enrollment; the secret only takes effect once confirmed
+// Requires +twoFactorPendingSecret to be selected when saving
+userSchema.methods.startTwoFactorEnrollment = function() {
+  const secret = totp.generateSecret();
+  this.twoFactorPendingSecret = encrypt(secret);
+  return secret;
+};
+
+// Confirm enrollment with a code from the authenticator app
+// Returns true and enables 2FA if the code matches the pending secret
+userSchema.methods.confirmTwoFactorEnrollment = function(code) {
+  if (!this.twoFactorPendingSecret) {
+    return false;
+  }
+
+  const secret = decrypt(this.twoFactorPendingSecret);
+  const step = totp.verifyCode(secret, code);
+  if (step === null) {
+    return false;
+  }
+
+  this.twoFactorSecret = this.twoFactorPendingSecret;
+  this.twoFactorPendingSecret = undefined;
+  this.twoFactorLastUsedStep = step;
+  this.twoFactorEnabled = true;
+  return true;
+};
+
+// Verify a current TOTP code (requires +twoFactorSecret +twoFactorLastUsedStep)
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  if (!this.twoFactorEnabled || !this.twoFactorSecret) {
+    return false;
+  }
+
+  const step = totp.verifyCode(decrypt(this.twoFactorSecret), code);
+  if (step === null || step <= (this.twoFactorLastUsedStep || 0)) {
+    return false;
+  }
+
+  this.twoFactorLastUsedStep = step;
+  return true;
+};
+
+// Generate a new set of one-time recovery codes, replacing any old ones
+// Returns the plain codes, which are only ever shown to the user once
+userSchema.methods.generateRecoveryCodes = function() {
+  const crypto = require('crypto');
+
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  this.twoFactorRecoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+// Use up a recovery code (requires +twoFactorRecoveryCodes)
+userSchema.methods.useRecoveryCode = async function(code) {
+  const hashed = hashRecoveryCode(code);
+
+  // Remove it in the database first, so parallel logins can't both use it
+  const result = await this.constructor.updateOne(
+    { _id: this._id, twoFactorEnabled: true, twoFactorRecoveryCodes: hashed },
+    { $pull: { twoFactorRecoveryCodes: hashed } }
+  );
+  if (result.modifiedCount !== 1) {
+    return false;
+  }
+
+  // Already saved; a later save mustn't write back codes others have used since
+  this.twoFactorRecoveryCodes = (this.twoFactorRecoveryCodes || []).filter(c => c !== hashed);
+  this.unmarkModified('twoFactorRecoveryCodes');
+  return true;
+};
+
+// Cancel a pending account deletion
+// Returns true if a deletion was actually pending
+userSchema.methods.cancelDeletion = function() {
+  if (!this.deletionScheduledFor) {
+    return false;
+  }
+
+  this.deletionRequestedAt = undefined;
+  this.deletionScheduledFor = undefined;
+  return true;
+};
+
+// Turn 2FA off and forget the secret and recovery codes
+userSchema.methods.disableTwoFactor = function() {
+  this.twoFactorEnabled = false;
+  this.twoFactorSecret = undefined;
+  this.twoFactorPendingSecret = undefined;
+  this.twoFactorRecoveryCodes = undefined;
+  this.twoFactorLastUsedStep = undefined;
+};
+
 module.exports = mongoose.model('User', userSchema);
@@ -1,5 +1,10 @@
 const mongoose = require('mongoose');
-const { encrypt, decrypt } = require('../utils/encryption');
+const {
+  encryptForOwner,
+  decryptForOwner,
+  encryptForUser,
+  decryptForUser
+} = require('../utils/userKeys');
 
 const wellnessCheckSchema = new mongoose.Schema({
   userId: {
@@ -17,8 +22,8 @@ const wellnessCheckSchema = new mongoose.Schema({
   analysis: {
     type: String,
     required: true,
-    set: (value) => encrypt(value), // Encrypt before saving
-    get: (value) => decrypt(value)  // Decrypt when retrieving
+    set: encryptForOwner, // Encrypt with the owner's data key before saving
+    get: decryptForOwner  // Decrypt when retrieving
   },
   answers: {
     type: Map,
@@ -43,7 +48,7 @@ wellnessCheckSchema.pre('save', function(next) {
   if (this.answers && this.answers.size > 0) {
     const encryptedAnswers = new Map();
     for (const [key, value] of this.answers.entries()) {
-      encryptedAnswers.set(key, encrypt(value));
+      encryptedAnswers.set(key, encryptForUser(this.userId, value));
     }
     this.answers = encryptedAnswers;
   }
@@ -57,10 +62,11 @@ wellnessCheckSchema.post('find', function(docs) {
       const decryptedAnswers = new Map();
       for (const [key, value] of doc.answers.entries()) {
         try {
-          decryptedAnswers.set(key, decrypt(value));
+          decryptedAnswers.set(key, decryptForUser(doc.userId, value));
         } catch (error) {
           console.error('Error decrypting answer:', error);
           decryptedAnswers.set(key, value); // Keep encrypted if decryption fails
+          doc.$locals.undecryptable = true; // Reported as unreadable by list endpoints
         }
       }
       doc.answers = decryptedAnswers;
@@ -73,10 +79,11 @@ wellnessCheckSchema.post('findOne', function(doc) {
     const decryptedAnswers = new Map();
     for (const [key, value] of doc.answers.entries()) {
       try {
-        decryptedAnswers.set(key, decrypt(value));
+        decryptedAnswers.set(key, decryptForUser(doc.userId, value));
       } catch (error) {
         console.error('Error decrypting answer:', error);
         decryptedAnswers.set(key, value);
+        doc.$locals.undecryptable = true;
       }
     }
     doc.answers = decryptedAnswers;
@@ -11,8 +11,29 @@ const {
   resetPassword,
   verifyOTP,
   resetPasswordWithOTP,
+  verifyEmail,
+  resendVerificationEmail,
   deleteAccount
 } = require('../controllers/authController');
+const {
+  refreshToken,
+  logout,
+  logoutAll,
+  getSessions,
+  deleteSession
+} = require('../controllers/sessionController');
+const {
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin
+} = require('../controllers/twoFactorController');
+const {
+  requestExport,
+  getExportStatus,
+  downloadExport
+} = require('../controllers/exportController');
 const { protect } = require('../middleware/auth');
 
 // Validation rules
@@ -32,15 +53,30 @@ const loginValidation = [
 // Public routes
 router.post('/register', registerValidation, register);
 router.post('/login', loginValidation, login);
+router.post('/2fa/login', verifyTwoFactorLogin);
 router.post('/forgotpassword', forgotPassword);
 router.post('/verifyotp', verifyOTP);
 router.put('/resetpasswordotp', resetPasswordWithOTP);
 router.put('/resetpassword/:resetToken', resetPassword);
+router.post('/refresh', refreshToken);
+router.get('/export/:id/download', downloadExport);
 
 // Protected routes
 router.get('/me', protect, getMe);
 router.put('/updateprofile', protect, updateProfile);
 router.put('/changepassword', protect, changePassword);
+router.post('/verify-email', protect, verifyEmail);
+router.post('/verify-email/resend', protect, resendVerificationEmail);
 router.delete('/account', protect, deleteAccount);
+router.post('/logout', protect, logout);
+router.post('/logout-all', protect, logoutAll);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, deleteSession);
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/confirm', protect, confirmTwoFactor);
+router.post('/2fa/disable', protect, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes);
+router.post('/export', protect, requestExport);
+router.get('/export/:id', protect, getExportStatus);
 
 module.exports = router;
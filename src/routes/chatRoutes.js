@@ -1,32 +1,104 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const {
   getChatSessions,
   getChatSession,
   createChatSession,
   addChatMessage,
+  replyToChat,
+  streamChatReply,
   updateChatSession,
+  archiveChatSession,
+  unarchiveChatSession,
+  pinChatSession,
+  unpinChatSession,
   deleteChatSession,
   getChatMessages,
+  searchChatHistory,
+  exportChatSession,
+  exportAllChatSessions,
+  rateReply,
+  clearReplyFeedback,
+  editChatMessage,
+  regenerateReply,
+  getReplyVersions,
+  selectReplyVersion,
   getMindfulnessStreak
 } = require('../controllers/chatController');
 const { protect } = require('../middleware/auth');
 
 // Validation rules
 const chatMessageValidation = [
+  // Assistant replies are generated by the server (POST .../reply)
   body('role')
-    .isIn(['user', 'assistant', 'system'])
-    .withMessage('Role must be user, assistant, or system'),
+    .optional()
+    .equals('user')
+    .withMessage('Only user messages can be added; use the reply endpoint for assistant replies'),
   body('content').trim().notEmpty().withMessage('Content is required')
 ];
 
+const chatReplyValidation = [
+  body('content').trim().notEmpty().withMessage('Content is required')
+];
+
+const messageIdValidation = [
+  param('messageId').isMongoId().withMessage('Invalid message id')
+];
+
+const chatEditValidation = [
+  ...messageIdValidation,
+  body('content').trim().notEmpty().withMessage('Content is required')
+];
+
+const feedbackValidation = [
+  ...messageIdValidation,
+  body('rating').isIn(['up', 'down']).withMessage('Rating must be up or down'),
+  body('reason')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot be more than 500 characters')
+];
+
+const chatSessionListValidation = [
+  query('status')
+    .optional()
+    .isIn(['active', 'archived', 'all'])
+    .withMessage('Status must be active, archived or all'),
+  query('pinned').optional().isIn(['true', 'false']).withMessage('Pinned must be true or false'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+const chatSearchValidation = [
+  query('query').trim().notEmpty().withMessage('Search query is required'),
+  query('role')
+    .optional()
+    .isIn(['user', 'assistant'])
+    .withMessage('Role must be user or assistant'),
+  query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+  query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('context').optional().isInt({ min: 0, max: 5 }).withMessage('Context must be between 0 and 5 messages')
+];
+
+const chatExportValidation = [
+  query('format')
+    .optional()
+    .isIn(['md', 'json', 'pdf'])
+    .withMessage('Format must be md, json or pdf')
+];
+
 // All routes are protected
 router.use(protect);
 
+router.get('/search', chatSearchValidation, searchChatHistory);
+router.get('/export', chatExportValidation, exportAllChatSessions);
+
 // Session routes
 router.route('/sessions')
-  .get(getChatSessions)
+  .get(chatSessionListValidation, getChatSessions)
   .post(createChatSession);
 
 router.route('/sessions/:sessionId')
@@ -34,11 +106,31 @@ router.route('/sessions/:sessionId')
   .put(updateChatSession)
   .delete(deleteChatSession);
 
+router.get('/sessions/:sessionId/export', chatExportValidation, exportChatSession);
+router.post('/sessions/:sessionId/archive', archiveChatSession);
+router.post('/sessions/:sessionId/unarchive', unarchiveChatSession);
+router.post('/sessions/:sessionId/pin', pinChatSession);
+router.post('/sessions/:sessionId/unpin', unpinChatSession);
+
 // Message routes
 router.route('/sessions/:sessionId/messages')
   .get(getChatMessages)
   .post(chatMessageValidation, addChatMessage);
 
+router.post('/sessions/:sessionId/reply', chatReplyValidation, replyToChat);
+router.post('/sessions/:sessionId/reply/stream', chatReplyValidation, streamChatReply);
+
+router.route('/sessions/:sessionId/messages/:messageId')
+  .put(chatEditValidation, editChatMessage);
+
+router.route('/sessions/:sessionId/messages/:messageId/feedback')
+  .put(feedbackValidation, rateReply)
+  .delete(messageIdValidation, clearReplyFeedback);
+
+router.post('/sessions/:sessionId/messages/:messageId/regenerate', messageIdValidation, regenerateReply);
+router.get('/sessions/:sessionId/messages/:messageId/versions', messageIdValidation, getReplyVersions);
+router.post('/sessions/:sessionId/messages/:messageId/select', messageIdValidation, selectReplyVersion);
+
 router.get('/mindfulness-streak', getMindfulnessStreak);
 
 module.exports = router;
@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const { getMoodInsights, getTypingInsights } = require('../controllers/insightsController');
+const { INTERVALS } = require('../utils/moodTrends');
+const { protect } = require('../middleware/auth');
+
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Validation rules
+const moodInsightsValidation = [
+  query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+  query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+  query('interval')
+    .optional()
+    .isIn(INTERVALS)
+    .withMessage('Interval must be day, week or month'),
+  query('timezone').optional().custom(isTimeZone).withMessage('Invalid time zone'),
+  query('window').optional().isInt({ min: 1, max: 30 }).withMessage('Window must be between 1 and 30 periods')
+];
+
+const typingInsightsValidation = [
+  query('days').optional().isInt({ min: 1, max: 90 }).withMessage('Days must be between 1 and 90'),
+  query('baselineDays')
+    .optional()
+    .isInt({ min: 7, max: 365 })
+    .withMessage('Baseline must cover between 7 and 365 days'),
+  query('timezone').optional().custom(isTimeZone).withMessage('Invalid time zone')
+];
+
+// All routes are protected
+router.use(protect);
+
+router.get('/mood', moodInsightsValidation, getMoodInsights);
+router.get('/typing', typingInsightsValidation, getTypingInsights);
+
+module.exports = router;
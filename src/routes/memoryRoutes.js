@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const {
+  getMemories,
+  createMemory,
+  updateMemory,
+  deleteMemory,
+  clearMemories
+} = require('../controllers/memoryController');
+const { protect } = require('../middleware/auth');
+
+// Validation rules
+const idValidation = param('id')
+  .optional()
+  .isMongoId()
+  .withMessage('Invalid memory id');
+
+const memoryValidation = [
+  idValidation,
+  body('content')
+    .trim()
+    .notEmpty()
+    .withMessage('Memory content is required')
+    .isLength({ max: 300 })
+    .withMessage('Memory cannot be more than 300 characters')
+];
+
+// All routes are protected
+router.use(protect);
+
+router.route('/')
+  .get(getMemories)
+  .post(memoryValidation, createMemory)
+  .delete(clearMemories);
+
+router.route('/:id')
+  .put(memoryValidation, updateMemory)
+  .delete(idValidation, deleteMemory);
+
+module.exports = router;
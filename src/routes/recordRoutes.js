@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getUnreadableRecords,
+  deleteUnreadable
+} = require('../controllers/recordController');
+const { protect } = require('../middleware/auth');
+
+// All routes are protected
+router.use(protect);
+
+// Records that can no longer be decrypted
+router.get('/unreadable', getUnreadableRecords);
+router.delete('/unreadable/:type/:id', deleteUnreadable);
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const {
+  getSafetySettings,
+  updateSafetySettings,
+  resendTrustedContactConfirmation,
+  showTrustedContactConfirmation,
+  confirmTrustedContact,
+  getResources,
+  getRiskEvents
+} = require('../controllers/safetyController');
+const { protect } = require('../middleware/auth');
+
+// Validation rules
+const safetySettingsValidation = [
+  body('region')
+    .optional({ values: 'falsy' })
+    .isISO31661Alpha2()
+    .withMessage('Region must be a two-letter country code'),
+  body('trustedContact.email')
+    .if(body('trustedContact').exists({ values: 'null' }))
+    .isEmail()
+    .withMessage('Please provide a valid email for your trusted contact'),
+  body('trustedContact.name')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Name cannot be more than 50 characters'),
+  body('trustedContact.notifyOnRisk')
+    .optional()
+    .isBoolean()
+    .withMessage('notifyOnRisk must be true or false')
+];
+
+// Public routes: opened by the trusted contact from the confirmation email
+router.route('/trusted-contact/confirm')
+  .get(showTrustedContactConfirmation)
+  .post(confirmTrustedContact);
+
+// All other routes are protected
+router.use(protect);
+
+router.route('/settings')
+  .get(getSafetySettings)
+  .put(safetySettingsValidation, updateSafetySettings);
+
+router.post('/trusted-contact/resend', resendTrustedContactConfirmation);
+router.get('/resources', getResources);
+router.get('/events', getRiskEvents);
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const WellnessCheck = require('../models/WellnessCheck');
 const { protect } = require('../middleware/auth');
+const { toReadable } = require('../utils/unreadableRecords');
 
 router.post('/', protect, async (req, res) => {
   try {
@@ -49,10 +50,18 @@ router.post('/', protect, async (req, res) => {
 router.get('/today', protect, async (req, res) => {
   try {
     const todayCheck = await WellnessCheck.getTodayCheck(req.user._id);
+    const { items, unreadable } = toReadable(todayCheck ? [todayCheck] : [], 'wellnessCheck');
+    if (unreadable.length > 0) {
+      return res.status(422).json({
+        success: false,
+        message: 'Wellness check could not be decrypted',
+        unreadable
+      });
+    }
     
     res.json({
       success: true,
-      data: todayCheck
+      data: items[0] || null
     });
   } catch (error) {
     console.error('Error fetching today\'s wellness check:', error);
@@ -89,12 +98,14 @@ router.get('/history', protect, async (req, res) => {
     const checks = await WellnessCheck.find({ userId: req.user._id })
       .sort({ completedAt: -1 })
       .limit(parseInt(limit))
-      .skip(parseInt(skip))
-      .lean();
+      .skip(parseInt(skip));
+    // Not lean: the model decrypts analysis and answers on read
+    const { items, unreadable } = toReadable(checks, 'wellnessCheck');
     
     res.json({
       success: true,
-      data: checks
+      data: items,
+      unreadable
     });
   } catch (error) {
     console.error('Error fetching wellness history:', error);
@@ -0,0 +1,71 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const User = require('../models/User');
+const JournalEntry = require('../models/JournalEntry');
+const { loadUserKey } = require('../utils/userKeys');
+const { getAnalyzer, analyzeEntry } = require('../utils/emotionAnalyzer');
+
+// Runs the emotion analyzer over journal entries that have no server-side
+// analysis yet (written before analysis moved to the server, or saved while
+// the analyzer was failing). Pass --all to analyze every entry again, e.g.
+// after switching EMOTION_ANALYZER.
+//
+//   npm run analyze-journals [-- --all]
+
+async function analyzeUser(userId, reanalyze) {
+  await loadUserKey(userId);
+
+  const filter = reanalyze
+    ? { userId }
+    : { userId, 'mlAnalysis.analyzer': { $exists: false } };
+
+  let analyzed = 0;
+  let failed = 0;
+  for await (const entry of JournalEntry.find(filter)) {
+    try {
+      const mlAnalysis = await analyzeEntry({ title: entry.title, content: entry.content });
+      if (!mlAnalysis) {
+        throw new Error('Analyzer returned no result');
+      }
+      await JournalEntry.updateOne({ _id: entry._id }, { $set: { mlAnalysis } });
+      analyzed++;
+    } catch (error) {
+      failed++;
+      console.error(`Journal entry ${entry._id}: ${error.message}`);
+    }
+  }
+
+  return { analyzed, failed };
+}
+
+async function analyzeJournalEntries() {
+  await connectDB();
+
+  const reanalyze = process.argv.includes('--all');
+  // Fail early on a misconfigured analyzer
+  console.log(`Using the ${getAnalyzer().name} analyzer`);
+
+  const userIds = await JournalEntry.distinct('userId');
+
+  let analyzed = 0;
+  let failed = 0;
+  for (const userId of userIds) {
+    // Don't create keys for the leftovers of deleted accounts
+    if (!(await User.exists({ _id: userId }))) {
+      continue;
+    }
+    const result = await analyzeUser(userId, reanalyze);
+    analyzed += result.analyzed;
+    failed += result.failed;
+  }
+
+  console.log(`Analyzed ${analyzed} journal entries${failed > 0 ? `, ${failed} failed` : ''}`);
+  await mongoose.disconnect();
+}
+
+analyzeJournalEntries().catch(async (error) => {
+  console.error('Analyzing journal entries failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
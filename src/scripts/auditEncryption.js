@@ -0,0 +1,195 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const User = require('../models/User');
+const DataKey = require('../models/DataKey');
+const {
+  ENCRYPTED_FIELDS,
+  getProjection,
+  getEncryptedValues
+} = require('../utils/encryptedFields');
+const { encrypt, decrypt, isCiphertext, hasCiphertextStructure } = require('../utils/encryption');
+const { loadUserKey, encryptForUser, decryptForUser } = require('../utils/userKeys');
+const { QUARANTINE_TTL_DAYS, quarantineDocument } = require('../utils/quarantine');
+
+// Scans every encrypted field and reports, per collection, how many values
+// are healthy, stored as plaintext, or can't be decrypted. Nothing is
+// changed unless asked:
+//
+//   npm run audit-encryption [-- --encrypt-plaintext] [-- --quarantine] [-- --dry-run]
+//
+// --encrypt-plaintext  encrypt plaintext values in place
+// --quarantine         move documents with undecryptable values into
+//                      <collection>_quarantine for later inspection; they
+//                      expire after QUARANTINE_TTL_DAYS
+// --dry-run            list what the options above would change, and
+//                      write nothing
+//
+// Only values with no trace of ciphertext structure count as plaintext;
+// damaged ciphertext is undecryptable, so it is never encrypted over.
+
+const BATCH_SIZE = 200;
+
+// Quarantining removes the document, which for these would mean deleting an
+// account or every key a user's data depends on; they are only reported
+const NEVER_QUARANTINE = [User.collection.collectionName, DataKey.collection.collectionName];
+
+const ownerExists = new Map();
+const keysLoaded = new Set();
+
+async function ownerHasAccount(userId) {
+  const id = String(userId);
+  if (!ownerExists.has(id)) {
+    ownerExists.set(id, !!(await User.exists({ _id: userId })));
+  }
+  return ownerExists.get(id);
+}
+
+async function classify(spec, doc, value) {
+  if (!isCiphertext(value)) {
+    return hasCiphertextStructure(value) ? 'undecryptable' : 'plaintext';
+  }
+
+  try {
+    if (spec.perUser) {
+      // Don't create keys while auditing; a missing key leaves u1 values unreadable
+      if (!keysLoaded.has(String(doc.userId))) {
+        keysLoaded.add(String(doc.userId));
+        await loadUserKey(doc.userId, { create: false });
+      }
+      decryptForUser(doc.userId, value);
+    } else {
+      decrypt(value);
+    }
+    return 'healthy';
+  } catch (error) {
+    return 'undecryptable';
+  }
+}
+
+async function encryptPlaintext(spec, doc, value) {
+  if (!spec.perUser) {
+    return encrypt(value);
+  }
+  // Leftovers of deleted accounts are reported but not given a key
+  if (!(await ownerHasAccount(doc.userId))) {
+    return null;
+  }
+  await loadUserKey(doc.userId);
+  return encryptForUser(doc.userId, value);
+}
+
+async function auditCollection(spec, options) {
+  const collection = spec.model.collection;
+  const name = collection.collectionName;
+  const report = {
+    collection: name,
+    documents: 0,
+    healthy: 0,
+    plaintext: 0,
+    undecryptable: 0,
+    encrypted: 0,
+    quarantined: 0
+  };
+
+  let lastId = null;
+  for (;;) {
+    const filter = lastId ? { _id: { $gt: lastId } } : {};
+    const batch = await collection
+      .find(filter, { projection: getProjection(spec) })
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE)
+      .toArray();
+
+    if (batch.length === 0) {
+      break;
+    }
+
+    for (const doc of batch) {
+      const updates = {};
+      const expected = {};
+      const corruptPaths = [];
+
+      for (const { path, value } of getEncryptedValues(spec, doc)) {
+        const status = await classify(spec, doc, value);
+        report[status]++;
+
+        if (status === 'undecryptable') {
+          corruptPaths.push(path);
+          console.error(`${name} ${doc._id} ${path}: undecryptable`);
+        } else if (status === 'plaintext' && options.encryptPlaintext && options.dryRun) {
+          if (!spec.perUser || await ownerHasAccount(doc.userId)) {
+            console.log(`${name} ${doc._id} ${path}: would encrypt ${value.length} characters of plaintext`);
+            report.encrypted++;
+          }
+        } else if (status === 'plaintext' && options.encryptPlaintext) {
+          const encrypted = await encryptPlaintext(spec, doc, value);
+          if (encrypted !== null) {
+            updates[path] = encrypted;
+            expected[path] = value;
+          }
+        }
+      }
+
+      if (corruptPaths.length > 0 && options.quarantine && !NEVER_QUARANTINE.includes(name)) {
+        if (options.dryRun) {
+          console.log(`${name} ${doc._id}: would quarantine (${corruptPaths.join(', ')})`);
+          report.quarantined++;
+        } else if (await quarantineDocument(spec.model, doc._id, corruptPaths)) {
+          report.quarantined++;
+        }
+      } else if (Object.keys(updates).length > 0) {
+        // Only overwrite values that haven't been edited while we worked
+        const result = await collection.updateOne(
+          { _id: doc._id, ...expected },
+          { $set: updates }
+        );
+        if (result.modifiedCount > 0) {
+          report.encrypted += Object.keys(updates).length;
+        }
+      }
+
+      report.documents++;
+      lastId = doc._id;
+    }
+  }
+
+  return report;
+}
+
+async function auditEncryption() {
+  await connectDB();
+
+  const options = {
+    encryptPlaintext: process.argv.includes('--encrypt-plaintext'),
+    quarantine: process.argv.includes('--quarantine'),
+    dryRun: process.argv.includes('--dry-run')
+  };
+
+  const reports = [];
+  for (const spec of ENCRYPTED_FIELDS) {
+    reports.push(await auditCollection(spec, options));
+  }
+
+  console.table(reports);
+  if (options.dryRun) {
+    console.log('Dry run: nothing was written; encrypted and quarantined show what would have been');
+  }
+
+  const plaintext = reports.reduce((sum, report) => sum + report.plaintext - (options.dryRun ? 0 : report.encrypted), 0);
+  const undecryptable = reports.reduce((sum, report) => sum + report.undecryptable, 0);
+  if (plaintext > 0 && !options.encryptPlaintext) {
+    console.log('Run with --encrypt-plaintext to encrypt plaintext values in place');
+  }
+  if (undecryptable > 0 && !options.quarantine) {
+    console.log(`Run with --quarantine to move documents with undecryptable values aside for ${QUARANTINE_TTL_DAYS} days`);
+  }
+
+  await mongoose.disconnect();
+}
+
+auditEncryption().catch(async (error) => {
+  console.error('Encryption audit failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+
+// Compares decrypting a page of a list endpoint with the key derived by
+// scrypt on every call (the old behaviour) against the key cached at startup.
+// Uses its own throwaway key, so no .env is needed.
+//
+//   npm run benchmark:encryption
+
+process.env.ENCRYPTION_KEY = crypto.randomBytes(32).toString('hex');
+delete process.env.ENCRYPTION_KEYS;
+delete process.env.ENCRYPTION_KEY_VERSION;
+delete process.env.ENCRYPTION_KDF_SALT;
+
+const { encrypt, decrypt, loadEncryptionKeys } = require('../utils/encryption');
+
+// Encrypted values read per request
+const PAGES = [
+  { name: 'GET /api/chat/sessions (50 titles)', values: 50 },
+  { name: 'GET /api/journals (10 entries, title + content)', values: 20 }
+];
+
+// How decrypt worked before keys were cached
+function decryptDerivingKey(encryptedText) {
+  const [, ivHex, authTagHex, encryptedData] = encryptedText.split(':');
+  const key = crypto.scryptSync(process.env.ENCRYPTION_KEY, 'salt', 32);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(ivHex, 'hex'));
+  decipher.setAuthTag(Buffer.from(authTagHex, 'hex'));
+  return decipher.update(encryptedData, 'hex', 'utf8') + decipher.final('utf8');
+}
+
+function requestsPerSecond(decryptValue, values, durationMs) {
+  let requests = 0;
+  const start = process.hrtime.bigint();
+  let elapsedMs = 0;
+  while (elapsedMs < durationMs) {
+    for (const value of values) {
+      decryptValue(value);
+    }
+    requests++;
+    elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+  }
+  return requests / (elapsedMs / 1000);
+}
+
+function benchmarkEncryption() {
+  const startupStart = process.hrtime.bigint();
+  loadEncryptionKeys();
+  const startupMs = Number(process.hrtime.bigint() - startupStart) / 1e6;
+  console.log(`Key derivation at startup: ${startupMs.toFixed(1)} ms (once)\n`);
+
+  for (const page of PAGES) {
+    const values = Array.from({ length: page.values }, (_, i) =>
+      encrypt(`Sample text ${i} `.repeat(20))
+    );
+
+    const before = requestsPerSecond(decryptDerivingKey, values, 2000);
+    const after = requestsPerSecond(decrypt, values, 2000);
+
+    console.log(page.name);
+    console.log(`  derived per call: ${before.toFixed(1)} req/s (${(1000 / before).toFixed(1)} ms each)`);
+    console.log(`  cached key:       ${after.toFixed(1)} req/s (${(1000 / after).toFixed(2)} ms each)`);
+    console.log(`  speedup:          ${(after / before).toFixed(0)}x\n`);
+  }
+}
+
+benchmarkEncryption();
@@ -0,0 +1,101 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const User = require('../models/User');
+const JournalEntry = require('../models/JournalEntry');
+const Memory = require('../models/Memory');
+const { ChatMessage, ChatSession, DEFAULT_SESSION_TITLE } = require('../models/Chat');
+const { loadUserKey } = require('../utils/userKeys');
+const { buildSearchTokens, buildFingerprint } = require('../utils/searchIndex');
+
+// Builds the search index for journal entries, chat messages, chat session
+// titles and memories that don't have one yet (written before search was
+// indexed). Pass --all to rebuild every record, which is needed after the
+// index key changes (INDEX_PURPOSE in utils/searchIndex); memory
+// fingerprints are rebuilt along with their tokens.
+//
+//   npm run build-search-index [-- --all]
+
+const TARGETS = [
+  {
+    name: 'journal entries',
+    model: JournalEntry,
+    fields: entry => ({ title: entry.title, content: entry.content, tags: entry.tags })
+  },
+  {
+    name: 'chat messages',
+    model: ChatMessage,
+    fields: message => ({ content: message.content })
+  },
+  {
+    name: 'chat session titles',
+    model: ChatSession,
+    fields: session => ({ title: session.title }),
+    // Untitled sessions aren't indexed
+    skip: session => session.title === DEFAULT_SESSION_TITLE
+  },
+  {
+    name: 'memories',
+    model: Memory,
+    fields: memory => ({ content: memory.content }),
+    extra: (userId, memory) => ({ fingerprint: buildFingerprint(userId, memory.content) })
+  }
+];
+
+async function indexUser(target, userId, rebuild) {
+  const filter = rebuild
+    ? { userId }
+    : { userId, searchTokens: { $exists: false } };
+
+  let indexed = 0;
+  let failed = 0;
+  for await (const doc of target.model.find(filter)) {
+    try {
+      if (target.skip && target.skip(doc)) {
+        continue;
+      }
+      const searchTokens = buildSearchTokens(userId, target.fields(doc));
+      const extra = target.extra ? target.extra(userId, doc) : {};
+      await target.model.updateOne({ _id: doc._id }, { $set: { searchTokens, ...extra } });
+      indexed++;
+    } catch (error) {
+      failed++;
+      console.error(`${target.model.modelName} ${doc._id}: ${error.message}`);
+    }
+  }
+
+  return { indexed, failed };
+}
+
+async function buildSearchIndex() {
+  await connectDB();
+
+  const rebuild = process.argv.includes('--all');
+
+  for (const target of TARGETS) {
+    const userIds = await target.model.distinct('userId');
+
+    let indexed = 0;
+    let failed = 0;
+    for (const userId of userIds) {
+      // Don't create keys for the leftovers of deleted accounts
+      if (!(await User.exists({ _id: userId }))) {
+        continue;
+      }
+      await loadUserKey(userId);
+      const result = await indexUser(target, userId, rebuild);
+      indexed += result.indexed;
+      failed += result.failed;
+    }
+
+    console.log(`Indexed ${indexed} ${target.name}${failed > 0 ? `, ${failed} failed` : ''}`);
+  }
+
+  await mongoose.disconnect();
+}
+
+buildSearchIndex().catch(async (error) => {
+  console.error('Building search index failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,163 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const User = require('../models/User');
+const {
+  ENCRYPTED_FIELDS,
+  getProjection,
+  getEncryptedValues
+} = require('../utils/encryptedFields');
+const {
+  decrypt,
+  getCurrentKeyVersion,
+  needsReencryption,
+  reencrypt,
+  isDataKeyCiphertext
+} = require('../utils/encryption');
+const { loadUserKey, encryptForUser } = require('../utils/userKeys');
+
+// Re-encrypts every encrypted field under the newest key: user data moves
+// onto the owner's data key, everything else onto the current master key
+// version (ENCRYPTION_KEY_VERSION). Progress is checkpointed per collection,
+// so an interrupted run picks up where it stopped. Pass --restart to start over.
+//
+//   npm run reencrypt [-- --restart]
+
+const BATCH_SIZE = 200;
+const CHECKPOINT_COLLECTION = 'maintenance_checkpoints';
+
+// Data of users that no longer exist is left alone rather than given a key
+const ownerExists = new Map();
+
+async function prepareOwner(userId) {
+  const id = String(userId);
+  if (!ownerExists.has(id)) {
+    ownerExists.set(id, !!(await User.exists({ _id: userId })));
+  }
+  if (ownerExists.get(id)) {
+    await loadUserKey(userId);
+  }
+  return ownerExists.get(id);
+}
+
+// Returns the value re-encrypted under the newest key, or null if it is current
+async function migrateValue(spec, doc, value) {
+  if (!spec.perUser) {
+    return needsReencryption(value) ? reencrypt(value) : null;
+  }
+
+  if (isDataKeyCiphertext(value) || !(await prepareOwner(doc.userId))) {
+    return null;
+  }
+  return encryptForUser(doc.userId, decrypt(value));
+}
+
+async function reencryptCollection(spec, targetVersion, checkpoints) {
+  const collection = spec.model.collection;
+  const checkpointId = `reencrypt:${collection.collectionName}`;
+
+  let checkpoint = await checkpoints.findOne({ _id: checkpointId });
+  if (!checkpoint || checkpoint.targetVersion !== targetVersion) {
+    checkpoint = {
+      _id: checkpointId,
+      targetVersion,
+      lastId: null,
+      scanned: 0,
+      updated: 0,
+      failed: 0,
+      completedAt: null
+    };
+  }
+
+  if (checkpoint.completedAt) {
+    console.log(`${collection.collectionName}: finished earlier in this run, skipping`);
+    return checkpoint;
+  }
+
+  if (checkpoint.lastId) {
+    console.log(`${collection.collectionName}: resuming after ${checkpoint.lastId}`);
+  }
+
+  for (;;) {
+    const filter = checkpoint.lastId ? { _id: { $gt: checkpoint.lastId } } : {};
+    const batch = await collection
+      .find(filter, { projection: getProjection(spec) })
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE)
+      .toArray();
+
+    if (batch.length === 0) {
+      break;
+    }
+
+    for (const doc of batch) {
+      const updates = {};
+      const expected = {};
+
+      for (const { path, value } of getEncryptedValues(spec, doc)) {
+        try {
+          const migrated = await migrateValue(spec, doc, value);
+          if (migrated !== null) {
+            updates[path] = migrated;
+            expected[path] = value;
+          }
+        } catch (error) {
+          checkpoint.failed++;
+          console.error(`${collection.collectionName} ${doc._id} ${path}: ${error.message}`);
+        }
+      }
+
+      if (Object.keys(updates).length > 0) {
+        // Only overwrite values that haven't been edited while we worked
+        const result = await collection.updateOne(
+          { _id: doc._id, ...expected },
+          { $set: updates }
+        );
+        checkpoint.updated += result.modifiedCount;
+      }
+
+      checkpoint.scanned++;
+      checkpoint.lastId = doc._id;
+    }
+
+    await checkpoints.replaceOne({ _id: checkpointId }, checkpoint, { upsert: true });
+    console.log(`${collection.collectionName}: ${checkpoint.scanned} scanned, ${checkpoint.updated} re-encrypted`);
+  }
+
+  checkpoint.completedAt = new Date();
+  await checkpoints.replaceOne({ _id: checkpointId }, checkpoint, { upsert: true });
+  return checkpoint;
+}
+
+async function reencryptData() {
+  await connectDB();
+
+  const checkpoints = mongoose.connection.db.collection(CHECKPOINT_COLLECTION);
+  if (process.argv.includes('--restart')) {
+    await checkpoints.deleteMany({ _id: /^reencrypt:/ });
+  }
+
+  const targetVersion = getCurrentKeyVersion();
+  console.log(`Re-encrypting data under key version ${targetVersion}`);
+
+  let failed = 0;
+  for (const spec of ENCRYPTED_FIELDS) {
+    const checkpoint = await reencryptCollection(spec, targetVersion, checkpoints);
+    failed += checkpoint.failed;
+  }
+
+  // A finished run leaves no checkpoints, so the next one scans everything again
+  await checkpoints.deleteMany({ _id: /^reencrypt:/ });
+
+  console.log(failed > 0
+    ? `Done with ${failed} values that could not be decrypted (left untouched)`
+    : 'Done, all data is encrypted under the newest keys');
+
+  await mongoose.disconnect();
+}
+
+reencryptData().catch(async (error) => {
+  console.error('Re-encryption failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -5,12 +5,20 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const connectDB = require('./config/database');
+const { loadEncryptionKeys } = require('./utils/encryption');
+const { getProvider } = require('./utils/llmProviders');
+const { startDeletionSweeper } = require('./utils/accountDeletion');
+const { startExportSweeper } = require('./utils/dataExport');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
 const journalRoutes = require('./routes/journalRoutes');
 const chatRoutes = require('./routes/chatRoutes');
 const wellnessRoutes = require('./routes/wellnessRoutes');
+const recordRoutes = require('./routes/recordRoutes');
+const safetyRoutes = require('./routes/safetyRoutes');
+const memoryRoutes = require('./routes/memoryRoutes');
+const insightsRoutes = require('./routes/insightsRoutes');
 
 // Initialize Express app
 const app = express();
@@ -18,9 +26,21 @@ const app = express();
 // Trust proxy required for Railway
 app.set('trust proxy', 1);
 
+// Derive the encryption keys up front (fails fast if they are missing in production)
+loadEncryptionKeys();
+
+// Same for the chat companion's LLM provider
+getProvider();
+
 // Connect to database
 connectDB();
 
+// Purge accounts whose deletion grace period has ended
+startDeletionSweeper();
+
+// Remove expired data export archives
+startExportSweeper();
+
 // Security middleware
 app.use(helmet());
 
@@ -129,6 +149,10 @@ app.use('/api/auth', authRoutes);
 app.use('/api/journal', journalRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/wellness', wellnessRoutes);
+app.use('/api/records', recordRoutes);
+app.use('/api/safety', safetyRoutes);
+app.use('/api/memories', memoryRoutes);
+app.use('/api/insights', insightsRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -0,0 +1,150 @@
+const User = require('../models/User');
+const JournalEntry = require('../models/JournalEntry');
+const WellnessCheck = require('../models/WellnessCheck');
+const Session = require('../models/Session');
+const RiskEvent = require('../models/RiskEvent');
+const Memory = require('../models/Memory');
+const { ChatMessage, ChatSession } = require('../models/Chat');
+const { revokeAllSessions } = require('./tokenService');
+const { deleteUserExports } = require('./dataExport');
+const { destroyUserKey } = require('./userKeys');
+const { purgeUserQuarantine } = require('./quarantine');
+const {
+  sendAccountDeletionScheduledEmail,
+  sendAccountDeletedEmail
+} = require('./emailService');
+
+// Days between a deletion request and the purge; 0 deletes immediately
+const GRACE_PERIOD_DAYS = process.env.ACCOUNT_DELETION_GRACE_DAYS !== undefined
+  ? parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS)
+  : 7;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Every collection holding personal data, keyed by `userId`.
+// Anything new that stores user data must be registered here; entries with
+// their own `purge` function clean up more than a plain deleteMany would.
+// The labels are what the user is told will be, and was, deleted.
+//
+// The data key goes first: once it is destroyed, anything encrypted under it
+// is unreadable even if a later step fails or a backup still holds a copy.
+const USER_DATA_MODELS = [
+  { name: 'dataKeys', label: 'Encryption keys', purge: destroyUserKey },
+  { name: 'journalEntries', label: 'Journal entries', model: JournalEntry },
+  { name: 'chatMessages', label: 'Chat messages', model: ChatMessage },
+  { name: 'chatSessions', label: 'Chat conversations', model: ChatSession },
+  { name: 'wellnessChecks', label: 'Wellness check-ins', model: WellnessCheck },
+  { name: 'riskEvents', label: 'Safety check records', model: RiskEvent },
+  { name: 'memories', label: 'Companion memories', model: Memory },
+  { name: 'quarantined', label: 'Damaged records set aside for repair', purge: purgeUserQuarantine },
+  { name: 'dataExports', label: 'Data exports', purge: deleteUserExports },
+  { name: 'sessions', label: 'Login sessions', model: Session }
+];
+
+/**
+ * What a purge removes, for telling the user before and after
+ * @param {Object} [deleted] - Counts from purgeUserData
+ * @returns {Array<Object>} - { name, label }, plus count when deleted is given
+ */
+const describeUserData = (deleted) => {
+  return [...USER_DATA_MODELS, { name: 'users', label: 'Your account and profile' }]
+    .map(({ name, label }) => (deleted ? { name, label, count: deleted[name] || 0 } : { name, label }));
+};
+
+/**
+ * Permanently delete a user and everything stored for them.
+ * The user document goes last so an interrupted purge is retried by the sweeper.
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - Deleted document count per collection
+ */
+const purgeUserData = async (user) => {
+  const deleted = {};
+
+  for (const { name, model, purge } of USER_DATA_MODELS) {
+    if (purge) {
+      deleted[name] = await purge(user._id);
+      continue;
+    }
+    const result = await model.deleteMany({ userId: user._id });
+    deleted[name] = result.deletedCount;
+  }
+
+  const result = await User.deleteOne({ _id: user._id });
+  deleted.users = result.deletedCount;
+
+  return deleted;
+};
+
+/**
+ * Handle a deletion request: sign the user out everywhere, then either purge
+ * straight away or schedule the purge after the grace period
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - { scheduledFor } or { deleted }
+ */
+const requestAccountDeletion = async (user) => {
+  const scheduledFor = new Date(Date.now() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+
+  user.deletionRequestedAt = Date.now();
+  user.deletionScheduledFor = scheduledFor;
+  await user.save({ validateBeforeSave: false });
+
+  await revokeAllSessions(user._id, 'account_deletion');
+
+  if (GRACE_PERIOD_DAYS <= 0) {
+    const deleted = await purgeUserData(user);
+    sendAccountDeletedEmail(user, describeUserData(deleted)).catch(err => {
+      console.error('Failed to send account deleted email:', err);
+    });
+    return { deleted };
+  }
+
+  sendAccountDeletionScheduledEmail(user, scheduledFor).catch(err => {
+    console.error('Failed to send deletion scheduled email:', err);
+  });
+  return { scheduledFor };
+};
+
+/**
+ * Purge every account whose grace period has run out
+ * @returns {Promise<number>} - Number of accounts purged
+ */
+const purgeDueAccounts = async () => {
+  const dueUsers = await User.find({ deletionScheduledFor: { $lte: new Date() } });
+
+  let purged = 0;
+  for (const user of dueUsers) {
+    try {
+      const deleted = await purgeUserData(user);
+      purged++;
+      sendAccountDeletedEmail(user, describeUserData(deleted)).catch(err => {
+        console.error('Failed to send account deleted email:', err);
+      });
+    } catch (error) {
+      console.error(`Failed to purge account ${user._id}:`, error);
+    }
+  }
+
+  return purged;
+};
+
+/**
+ * Periodically purge accounts whose grace period has ended
+ */
+const startDeletionSweeper = () => {
+  const timer = setInterval(() => {
+    purgeDueAccounts().catch(err => {
+      console.error('Account deletion sweep failed:', err);
+    });
+  }, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  GRACE_PERIOD_DAYS,
+  USER_DATA_MODELS,
+  describeUserData,
+  purgeUserData,
+  requestAccountDeletion,
+  purgeDueAccounts,
+  startDeletionSweeper
+};
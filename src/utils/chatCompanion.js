@@ -0,0 +1,85 @@
+const { ChatMessage, CURRENT_VERSION } = require('../models/Chat');
+const { getProvider } = require('./llmProviders');
+const { toReadable } = require('./unreadableRecords');
+const { findRelevantMemories } = require('./memoryStore');
+
+// How many recent messages of the session are sent to the model
+const CONTEXT_MESSAGES = parseInt(process.env.CHAT_CONTEXT_MESSAGES) || 20;
+
+const SYSTEM_PROMPT = [
+  'You are Eunoia, a warm and supportive mental wellness companion.',
+  'Listen carefully, reflect feelings back, and ask gentle open questions.',
+  'Keep replies short and conversational. You are not a therapist and do not diagnose;',
+  'if the user may be in danger, encourage them to contact emergency services or a crisis line.'
+].join(' ');
+
+/**
+ * Build the model input for a session: the system prompt (with relevant
+ * memories) followed by the most recent messages, oldest first
+ * @param {string} userId - Owner of the session
+ * @param {string} sessionId - Chat session
+ * @returns {Promise<Array<Object>>} - [{ role, content }]
+ */
+const buildChatContext = async (userId, sessionId) => {
+  const history = await ChatMessage.find({ userId, sessionId, ...CURRENT_VERSION })
+    .sort({ timestamp: -1 })
+    .limit(CONTEXT_MESSAGES);
+
+  // Damaged messages are left out, and stored system messages (which older
+  // clients could write) are never passed on as instructions
+  const { items } = toReadable(history.reverse(), 'chatMessage');
+  const conversation = items
+    .filter(message => message.role === 'user' || message.role === 'assistant')
+    .map(({ role, content }) => ({ role, content }));
+
+  // Bring in what we remember from earlier sessions that relates to the
+  // latest message
+  let systemPrompt = SYSTEM_PROMPT;
+  const latest = [...conversation].reverse().find(message => message.role === 'user');
+  const memories = latest ? await findRelevantMemories(userId, latest.content) : [];
+  if (memories.length > 0) {
+    systemPrompt += '\n\nThings the user shared in earlier conversations (bring them up naturally when relevant, never list them):\n' +
+      memories.map(memory => `- ${memory.content}`).join('\n');
+  }
+
+  return [{ role: 'system', content: systemPrompt }, ...conversation];
+};
+
+/**
+ * Ask the configured provider for the companion's next reply in a session
+ * @param {string} userId - Owner of the session
+ * @param {string} sessionId - Chat session
+ * @returns {Promise<Object>} - { content, model }
+ */
+const generateCompanionReply = async (userId, sessionId) => {
+  const context = await buildChatContext(userId, sessionId);
+  return getProvider().generateReply(context);
+};
+
+/**
+ * Stream the companion's next reply in a session as text chunks. Providers
+ * without streaming support yield their whole reply as one chunk.
+ * @param {string} userId - Owner of the session
+ * @param {string} sessionId - Chat session
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops generation, e.g. on disconnect
+ * @returns {AsyncGenerator<string>}
+ */
+async function* streamCompanionReply(userId, sessionId, { signal } = {}) {
+  const context = await buildChatContext(userId, sessionId);
+  const provider = getProvider();
+
+  if (!provider.streamReply) {
+    const { content } = await provider.generateReply(context);
+    yield content;
+    return;
+  }
+
+  yield* provider.streamReply(context, { signal });
+}
+
+module.exports = {
+  buildChatContext,
+  generateCompanionReply,
+  streamCompanionReply
+};
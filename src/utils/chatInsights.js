@@ -0,0 +1,236 @@
+const { ChatMessage, ChatSession, CURRENT_VERSION } = require('../models/Chat');
+const { getProvider } = require('./llmProviders');
+const { toReadable } = require('./unreadableRecords');
+const { buildSearchTokens } = require('./searchIndex');
+
+// Generated session titles and rolling summaries. Both are written with the
+// configured LLM provider; the local extractive versions below stand in when
+// there is no real model (the stub only echoes) or the provider fails.
+const TITLE_AFTER_MESSAGES = 4; // Two exchanges
+const SUMMARY_EVERY_MESSAGES = 6; // New messages before the summary is refreshed
+const MAX_TITLE_LENGTH = 60;
+const MAX_SUMMARY_LENGTH = 600;
+const SUMMARY_SENTENCES = 3;
+
+const TITLE_INSTRUCTIONS = 'Write a short title of at most six words for this conversation. Reply with the title only, without quotes.';
+const SUMMARY_INSTRUCTIONS = [
+  'You keep a brief summary of a conversation between a user and Eunoia, a wellness companion.',
+  'Update the current summary with the new messages: what the user talked about, how they felt, and anything they planned to try.',
+  `Use at most ${SUMMARY_SENTENCES} sentences, addressed to the user ("You talked about..."). Reply with the summary only.`
+].join(' ');
+
+const STOPWORDS = new Set(('about after again also although always and any are because been before being both but ' +
+  'can cant could did didnt does doesnt doing dont down during each even ever every feel feeling felt few for from ' +
+  'get getting going got had has have having her here hers him his how however into its ive just know like lot ' +
+  'make many maybe more most much must myself need never not now off once only other our out over own really ' +
+  'same she should since some something still such than that thats the their them then there these they thing ' +
+  'things think this those though through too under until very want was way well were what when where which ' +
+  'while who why will with would yeah yes you your youre yours').split(' '));
+
+const sessionsInProgress = new Set();
+
+const contentWords = (text) => {
+  return text
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length > 2 && !STOPWORDS.has(word));
+};
+
+const wordCounts = (texts) => {
+  const counts = new Map();
+  for (const text of texts) {
+    for (const word of contentWords(text)) {
+      counts.set(word, (counts.get(word) || 0) + 1);
+    }
+  }
+  return counts;
+};
+
+const truncate = (text, length) => {
+  return text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text;
+};
+
+/**
+ * Title from the most frequent words the user wrote, e.g. "Work, sleep and stress"
+ * @param {Array<Object>} messages - [{ role, content }]
+ * @returns {string|null}
+ */
+const extractiveTitle = (messages) => {
+  const counts = wordCounts(messages.filter(m => m.role === 'user').map(m => m.content));
+  // Sort is stable, so ties keep the order the words first appeared in
+  const keywords = [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 3)
+    .map(([word]) => word);
+
+  if (keywords.length === 0) {
+    return null;
+  }
+
+  const title = keywords.length > 1
+    ? `${keywords.slice(0, -1).join(', ')} and ${keywords[keywords.length - 1]}`
+    : keywords[0];
+  return title.charAt(0).toUpperCase() + title.slice(1);
+};
+
+/**
+ * Summary made of the most representative sentences of the previous summary
+ * and what the user wrote since, in their original order
+ * @param {string} previousSummary - Current summary, if any
+ * @param {Array<Object>} messages - New messages [{ role, content }]
+ * @returns {string|null}
+ */
+const extractiveSummary = (previousSummary, messages) => {
+  const texts = [previousSummary || '', ...messages.filter(m => m.role === 'user').map(m => m.content)];
+  const sentences = texts
+    .flatMap(text => text.match(/[^.!?\n]+[.!?]*/g) || [])
+    .map(sentence => sentence.trim())
+    .filter(sentence => contentWords(sentence).length >= 2);
+
+  if (sentences.length === 0) {
+    return previousSummary || null;
+  }
+
+  const counts = wordCounts(sentences);
+  const scored = sentences.map((sentence, index) => {
+    const words = contentWords(sentence);
+    const score = words.reduce((sum, word) => sum + counts.get(word), 0) / words.length;
+    return { sentence, index, score };
+  });
+
+  const summary = scored
+    .sort((a, b) => b.score - a.score)
+    .slice(0, SUMMARY_SENTENCES)
+    .sort((a, b) => a.index - b.index)
+    .map(({ sentence }) => /[.!?]$/.test(sentence) ? sentence : `${sentence}.`)
+    .join(' ');
+  return truncate(summary, MAX_SUMMARY_LENGTH);
+};
+
+const formatTranscript = (messages) => {
+  return messages
+    .map(m => `${m.role === 'user' ? 'User' : 'Eunoia'}: ${m.content}`)
+    .join('\n');
+};
+
+// Ask the provider; null when there is no real model or it fails
+const generateText = async (instructions, input) => {
+  const provider = getProvider();
+  if (provider.name === 'stub') {
+    return null;
+  }
+
+  try {
+    const { content } = await provider.generateReply([
+      { role: 'system', content: instructions },
+      { role: 'user', content: input }
+    ]);
+    return content.trim().replace(/^["']|["']$/g, '') || null;
+  } catch (error) {
+    console.error('Chat insights generation error:', error.message);
+    return null;
+  }
+};
+
+const readableConversation = (messages) => {
+  return toReadable(messages, 'chatMessage').items
+    .filter(m => m.role === 'user' || m.role === 'assistant');
+};
+
+const generateTitle = async (userId, sessionId) => {
+  const opening = readableConversation(
+    await ChatMessage.find({ userId, sessionId, ...CURRENT_VERSION }).sort({ timestamp: 1 }).limit(TITLE_AFTER_MESSAGES + 2)
+  );
+  const title = await generateText(TITLE_INSTRUCTIONS, formatTranscript(opening)) || extractiveTitle(opening);
+  if (!title) {
+    return;
+  }
+
+  // Skipped if the user renamed the session in the meantime; userId in the
+  // filter lets the setter encrypt with the owner's key
+  const shortTitle = truncate(title, MAX_TITLE_LENGTH);
+  await ChatSession.updateOne(
+    { userId, sessionId, titleSetByUser: { $ne: true } },
+    {
+      title: shortTitle,
+      titleGeneratedAt: Date.now(),
+      searchTokens: buildSearchTokens(userId, { title: shortTitle }) || []
+    }
+  );
+};
+
+const refreshSummary = async (session, newMessages) => {
+  const conversation = readableConversation(newMessages);
+  const input = `Current summary: ${session.summary || '(none yet)'}\n\nNew messages:\n${formatTranscript(conversation)}`;
+  const summary = await generateText(SUMMARY_INSTRUCTIONS, input) ||
+    extractiveSummary(session.summary, conversation);
+
+  await ChatSession.updateOne(
+    { userId: session.userId, sessionId: session.sessionId },
+    {
+      ...(summary && { summary: truncate(summary, MAX_SUMMARY_LENGTH) }),
+      summarizedUntil: newMessages[newMessages.length - 1].timestamp
+    }
+  );
+};
+
+/**
+ * Give a session a generated title once it has a few messages, and refresh
+ * its summary every few messages. The user's data key must be loaded.
+ * @param {string} userId - Owner of the session
+ * @param {string} sessionId - Chat session
+ */
+const updateSessionInsights = async (userId, sessionId) => {
+  const session = await ChatSession.findOne({ userId, sessionId });
+  if (!session) {
+    return;
+  }
+
+  if (!session.titleSetByUser && !session.titleGeneratedAt) {
+    const messageCount = await ChatMessage.countDocuments({ userId, sessionId, ...CURRENT_VERSION });
+    if (messageCount >= TITLE_AFTER_MESSAGES) {
+      await generateTitle(userId, sessionId);
+    }
+  }
+
+  const newMessages = await ChatMessage.find({
+    userId,
+    sessionId,
+    ...CURRENT_VERSION,
+    ...(session.summarizedUntil && { timestamp: { $gt: session.summarizedUntil } })
+  }).sort({ timestamp: 1 });
+
+  if (newMessages.length >= SUMMARY_EVERY_MESSAGES) {
+    await refreshSummary(session, newMessages);
+  }
+};
+
+/**
+ * Run updateSessionInsights after the response has been sent, at most once
+ * at a time per session
+ * @param {string} userId - Owner of the session
+ * @param {string} sessionId - Chat session
+ */
+const scheduleSessionInsights = (userId, sessionId) => {
+  if (sessionsInProgress.has(sessionId)) {
+    return;
+  }
+  sessionsInProgress.add(sessionId);
+
+  setImmediate(() => {
+    updateSessionInsights(userId, sessionId)
+      .catch(err => {
+        console.error(`Chat insights for session ${sessionId} failed:`, err);
+      })
+      .finally(() => sessionsInProgress.delete(sessionId));
+  });
+};
+
+module.exports = {
+  contentWords,
+  extractiveTitle,
+  extractiveSummary,
+  updateSessionInsights,
+  scheduleSessionInsights
+};
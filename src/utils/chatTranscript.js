@@ -0,0 +1,182 @@
+const { ChatMessage, ChatSession, CURRENT_VERSION } = require('../models/Chat');
+const { PLACEHOLDER, canEncode, createPdf } = require('./pdf');
+const { createZip } = require('./zip');
+
+// Transcripts of chat sessions for users to keep or share (e.g. with a
+// counsellor), rendered on the server from the decrypted session
+const FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+const UNREADABLE_TITLE = '(title could not be decrypted)';
+const UNREADABLE_MESSAGE = '(message could not be decrypted)';
+
+const formatDate = (date) => {
+  return date ? new Date(date).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : 'unknown date';
+};
+
+const speakerOf = (message) => {
+  return message.role === 'user' ? 'You' : 'Eunoia';
+};
+
+// Decrypt through the getters, keeping a placeholder for what can't be read
+const readField = (doc, field, placeholder) => {
+  try {
+    return doc[field];
+  } catch (error) {
+    console.error(`Transcript could not decrypt ${doc.constructor.modelName} ${doc._id}:`, error.message);
+    return placeholder;
+  }
+};
+
+const toTranscript = (session, messages) => {
+  return {
+    sessionId: session.sessionId,
+    title: readField(session, 'title', UNREADABLE_TITLE),
+    createdAt: session.createdAt,
+    lastMessageAt: session.lastMessageAt,
+    messages: messages.map(message => ({
+      role: message.role,
+      content: readField(message, 'content', UNREADABLE_MESSAGE),
+      timestamp: message.timestamp
+    }))
+  };
+};
+
+const findConversation = (userId, sessionId) => {
+  // userId selects the decryption key; system messages and replaced replies
+  // aren't part of the conversation the user saw
+  return ChatMessage.find({ userId, sessionId, role: { $in: ['user', 'assistant'] }, ...CURRENT_VERSION })
+    .select('userId role content timestamp')
+    .sort({ timestamp: 1 });
+};
+
+/**
+ * Load a session and its messages, decrypted
+ * @param {string} userId - Owner of the session
+ * @param {string} sessionId - Chat session
+ * @returns {Promise<Object|null>} - { sessionId, title, createdAt, lastMessageAt,
+ *   messages: [{ role, content, timestamp }] }, or null if there is no such session
+ */
+const loadTranscript = async (userId, sessionId) => {
+  const session = await ChatSession.findOne({ userId, sessionId });
+  if (!session) {
+    return null;
+  }
+  return toTranscript(session, await findConversation(userId, sessionId));
+};
+
+const renderMarkdown = (transcript, exportedAt) => {
+  const lines = [
+    `# ${transcript.title}`,
+    '',
+    `*Conversation with Eunoia, started ${formatDate(transcript.createdAt)}. Exported ${formatDate(exportedAt)}.*`,
+    ''
+  ];
+
+  for (const message of transcript.messages) {
+    lines.push(`**${speakerOf(message)}** (${formatDate(message.timestamp)}):`, '', message.content, '');
+  }
+
+  return lines.join('\n');
+};
+
+const renderJson = (transcript, exportedAt) => {
+  return JSON.stringify({ exportedAt, ...transcript }, null, 2);
+};
+
+const renderPdf = (transcript, exportedAt) => {
+  const blocks = [
+    { text: transcript.title, bold: true, size: 18 },
+    {
+      text: `Conversation with Eunoia, started ${formatDate(transcript.createdAt)}. Exported ${formatDate(exportedAt)}.`,
+      size: 9,
+      gray: 0.4,
+      spaceBefore: 4
+    }
+  ];
+
+  const texts = [transcript.title, ...transcript.messages.map(message => message.content)];
+  if (!texts.every(canEncode)) {
+    blocks.push({
+      text: `Characters a PDF can't show (such as emoji or non-Latin scripts) are marked ${PLACEHOLDER}. ` +
+        'Export the conversation as Markdown or JSON for the full text.',
+      size: 9,
+      gray: 0.4,
+      spaceBefore: 4
+    });
+  }
+
+  for (const message of transcript.messages) {
+    blocks.push(
+      { text: `${speakerOf(message)} - ${formatDate(message.timestamp)}`, bold: true, size: 10, spaceBefore: 12 },
+      { text: message.content, spaceBefore: 2 }
+    );
+  }
+
+  return createPdf(blocks, { title: transcript.title, createdAt: exportedAt });
+};
+
+const RENDERERS = {
+  md: renderMarkdown,
+  json: renderJson,
+  pdf: renderPdf
+};
+
+/**
+ * Render a transcript as a downloadable file
+ * @param {Object} transcript - From loadTranscript
+ * @param {string} format - md, json or pdf
+ * @param {Date} [exportedAt] - Time shown in the file
+ * @returns {Object} - { content: (Buffer|string), contentType, fileName }
+ */
+const renderTranscript = (transcript, format, exportedAt = new Date()) => {
+  const { contentType, extension } = FORMATS[format];
+  const slug = transcript.title
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40);
+  const date = new Date(transcript.createdAt || exportedAt).toISOString().slice(0, 10);
+
+  return {
+    content: RENDERERS[format](transcript, exportedAt),
+    contentType,
+    // The session id keeps names unique when titles repeat
+    fileName: `eunoia-chat-${date}-${slug ? `${slug}-` : ''}${transcript.sessionId.slice(0, 8)}.${extension}`
+  };
+};
+
+/**
+ * Zip the transcripts of all of a user's sessions, archived ones included.
+ * The user's data key must be loaded.
+ * @param {string} userId - Owner of the sessions
+ * @param {string} format - md, json or pdf
+ * @returns {Promise<Object>} - { buffer, sessionCount }
+ */
+const buildTranscriptArchive = async (userId, format) => {
+  const exportedAt = new Date();
+  const files = [];
+
+  for await (const session of ChatSession.find({ userId }).sort({ createdAt: 1 })) {
+    const transcript = toTranscript(session, await findConversation(userId, session.sessionId));
+    const { content, fileName } = renderTranscript(transcript, format, exportedAt);
+    files.push({ name: `eunoia-chats/${fileName}`, content });
+  }
+
+  return {
+    buffer: createZip(files, exportedAt),
+    sessionCount: files.length
+  };
+};
+
+module.exports = {
+  FORMATS,
+  loadTranscript,
+  renderTranscript,
+  buildTranscriptArchive
+};
@@ -0,0 +1,80 @@
+// Crisis lines by region (ISO 3166-1 alpha-2). The region comes from the
+// user's safety settings, falling back to DEFAULT_CRISIS_REGION.
+const CRISIS_RESOURCES = {
+  US: {
+    emergencyNumber: '911',
+    services: [
+      { name: '988 Suicide & Crisis Lifeline', phone: '988', sms: '988', url: 'https://988lifeline.org' }
+    ]
+  },
+  CA: {
+    emergencyNumber: '911',
+    services: [
+      { name: '9-8-8 Suicide Crisis Helpline', phone: '988', sms: '988', url: 'https://988.ca' }
+    ]
+  },
+  GB: {
+    emergencyNumber: '999',
+    services: [
+      { name: 'Samaritans', phone: '116 123', url: 'https://www.samaritans.org' },
+      { name: 'Shout', sms: '85258', url: 'https://giveusashout.org' }
+    ]
+  },
+  IE: {
+    emergencyNumber: '112',
+    services: [
+      { name: 'Samaritans', phone: '116 123', url: 'https://www.samaritans.org' }
+    ]
+  },
+  IN: {
+    emergencyNumber: '112',
+    services: [
+      { name: 'Tele-MANAS', phone: '14416', url: 'https://telemanas.mohfw.gov.in' },
+      { name: 'KIRAN Mental Health Helpline', phone: '1800-599-0019' }
+    ]
+  },
+  AU: {
+    emergencyNumber: '000',
+    services: [
+      { name: 'Lifeline', phone: '13 11 14', sms: '0477 13 11 14', url: 'https://www.lifeline.org.au' }
+    ]
+  },
+  NZ: {
+    emergencyNumber: '111',
+    services: [
+      { name: 'Need to talk?', phone: '1737', sms: '1737', url: 'https://1737.org.nz' }
+    ]
+  }
+};
+
+// Directory of helplines worldwide, offered everywhere
+const INTERNATIONAL_DIRECTORY = { name: 'Find A Helpline', url: 'https://findahelpline.com' };
+
+/**
+ * Crisis resources for a region
+ * @param {string} [region] - ISO 3166-1 alpha-2 code
+ * @returns {Object} - { region, emergencyNumber, services }
+ */
+const getCrisisResources = (region) => {
+  const code = (region || process.env.DEFAULT_CRISIS_REGION || '').toUpperCase();
+  const resources = CRISIS_RESOURCES[code];
+
+  if (!resources) {
+    return {
+      region: null,
+      emergencyNumber: null,
+      services: [INTERNATIONAL_DIRECTORY]
+    };
+  }
+
+  return {
+    region: code,
+    emergencyNumber: resources.emergencyNumber,
+    services: [...resources.services, INTERNATIONAL_DIRECTORY]
+  };
+};
+
+module.exports = {
+  CRISIS_REGIONS: Object.keys(CRISIS_RESOURCES),
+  getCrisisResources
+};
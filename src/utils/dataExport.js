@@ -0,0 +1,384 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const JournalEntry = require('../models/JournalEntry');
+const WellnessCheck = require('../models/WellnessCheck');
+const ExportJob = require('../models/ExportJob');
+const RiskEvent = require('../models/RiskEvent');
+const Memory = require('../models/Memory');
+const { ChatMessage, ChatSession } = require('../models/Chat');
+const { encryptBuffer, decryptBuffer } = require('./encryption');
+const { createZip } = require('./zip');
+const { loadUserKey } = require('./userKeys');
+
+const EXPORT_TTL_HOURS = parseInt(process.env.EXPORT_TTL_HOURS) || 24;
+// Exports with more records than this are built in the background
+const INLINE_RECORD_LIMIT = 500;
+const STALE_JOB_MS = 30 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 15 * 60 * 1000;
+const BUCKET_NAME = 'exports';
+
+const getBucket = () => {
+  return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: BUCKET_NAME });
+};
+
+// Decrypt a document through its getters, keeping a placeholder for records
+// that can no longer be decrypted instead of failing the whole export
+const toReadableObject = (doc) => {
+  try {
+    return doc.toObject();
+  } catch (error) {
+    console.error(`Export could not decrypt ${doc.constructor.modelName} ${doc._id}:`, error.message);
+    return { _id: doc._id, unreadable: true };
+  }
+};
+
+const formatDate = (date) => {
+  return date ? new Date(date).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : 'unknown date';
+};
+
+/**
+ * Gather everything stored for a user, decrypted
+ * @param {string} userId - Owner of the data
+ * @returns {Promise<Object>} - { profile, journalEntries, chatSessions, wellnessChecks, riskEvents, memories }
+ */
+const collectUserData = async (userId) => {
+  const [user, entries, sessions, messages, checks, riskEvents, memories] = await Promise.all([
+    User.findById(userId),
+    JournalEntry.find({ userId }).sort({ createdAt: 1 }),
+    ChatSession.find({ userId }).sort({ createdAt: 1 }),
+    ChatMessage.find({ userId }).sort({ timestamp: 1 }),
+    WellnessCheck.find({ userId }).sort({ completedAt: 1 }),
+    RiskEvent.find({ userId }).sort({ createdAt: 1 }),
+    Memory.find({ userId }).sort({ createdAt: 1 })
+  ]);
+
+  const messagesBySession = new Map();
+  for (const message of messages) {
+    const list = messagesBySession.get(message.sessionId) || [];
+    list.push(toReadableObject(message));
+    messagesBySession.set(message.sessionId, list);
+  }
+
+  return {
+    profile: {
+      name: user.name,
+      email: user.email,
+      emailVerified: user.isEmailVerified(),
+      twoFactorEnabled: user.twoFactorEnabled,
+      region: user.region,
+      trustedContact: user.trustedContact && user.trustedContact.email ? user.trustedContact.toObject() : undefined,
+      createdAt: user.createdAt,
+      lastLogin: user.lastLogin
+    },
+    journalEntries: entries.map(toReadableObject),
+    chatSessions: sessions.map((session) => ({
+      ...toReadableObject(session),
+      messages: messagesBySession.get(session.sessionId) || []
+    })),
+    wellnessChecks: checks.map((check) => {
+      const checkObj = toReadableObject(check);
+      if (checkObj.answers instanceof Map) {
+        checkObj.answers = Object.fromEntries(checkObj.answers);
+      }
+      return checkObj;
+    }),
+    riskEvents: riskEvents.map(event => event.toObject()),
+    memories: memories.map(toReadableObject)
+  };
+};
+
+const renderProfileMarkdown = (data, exportedAt) => {
+  return [
+    '# Your Eunoia Data',
+    '',
+    `Exported on ${formatDate(exportedAt)}.`,
+    '',
+    `- **Name:** ${data.profile.name}`,
+    `- **Email:** ${data.profile.email}`,
+    `- **Member since:** ${formatDate(data.profile.createdAt)}`,
+    '',
+    '## Contents',
+    '',
+    `- \`journal.md\` - ${data.journalEntries.length} journal entries`,
+    `- \`chats.md\` - ${data.chatSessions.length} chat conversations`,
+    `- \`wellness.md\` - ${data.wellnessChecks.length} wellness check-ins`,
+    '- `data.json` - everything above in machine-readable form, plus what your companion remembers about you (`memories`) and any moments our safety checks flagged (`riskEvents`)',
+    ''
+  ].join('\n');
+};
+
+const renderJournalMarkdown = (entries) => {
+  const lines = ['# Journal', ''];
+
+  for (const entry of entries) {
+    if (entry.unreadable) {
+      lines.push(`## (entry ${entry._id} could not be decrypted)`, '', '---', '');
+      continue;
+    }
+
+    lines.push(`## ${entry.title}`, '');
+    const meta = [formatDate(entry.createdAt), `Mood: ${entry.mood}`];
+    if (entry.tags && entry.tags.length > 0) {
+      meta.push(`Tags: ${entry.tags.join(', ')}`);
+    }
+    lines.push(`*${meta.join(' · ')}*`, '', entry.content, '');
+
+    const analysis = entry.mlAnalysis;
+    if (analysis && analysis.primary_emotion) {
+      lines.push(`**Emotional analysis:** ${analysis.primary_emotion}` +
+        (analysis.emotion_confidence !== undefined ? ` (${Math.round(analysis.emotion_confidence * 100)}%)` : ''));
+      if (analysis.detected_emotions && analysis.detected_emotions.length > 0) {
+        const emotions = analysis.detected_emotions
+          .map((e) => `${e.emotion} ${Math.round((e.score || 0) * 100)}%`)
+          .join(', ');
+        lines.push(`Detected emotions: ${emotions}`);
+      }
+      if (analysis.emotional_state_summary) {
+        lines.push(`Summary: ${analysis.emotional_state_summary}`);
+      }
+      lines.push('');
+    }
+
+    const keystrokes = entry.keystrokeData;
+    if (keystrokes && keystrokes.avg_wpm !== undefined) {
+      lines.push(`**Typing:** ${keystrokes.avg_wpm} wpm, ${keystrokes.pause_count ?? 0} pauses, ` +
+        `${Math.round((keystrokes.error_rate || 0) * 100)}% corrections` +
+        (keystrokes.mental_state ? `, ${keystrokes.mental_state}` : ''), '');
+    }
+
+    lines.push('---', '');
+  }
+
+  return lines.join('\n');
+};
+
+const renderChatsMarkdown = (sessions) => {
+  const lines = ['# Chat Conversations', ''];
+
+  for (const session of sessions) {
+    lines.push(`## ${session.unreadable ? '(title could not be decrypted)' : session.title}`, '');
+    lines.push(`*Started ${formatDate(session.createdAt)}*`, '');
+
+    for (const message of session.messages) {
+      // Replaced replies are only in data.json
+      if (message.isCurrent === false) {
+        continue;
+      }
+      if (message.unreadable) {
+        lines.push('*(message could not be decrypted)*', '');
+        continue;
+      }
+      const speaker = message.role === 'user' ? 'You' : message.role === 'assistant' ? 'Eunoia' : 'System';
+      lines.push(`**${speaker}** (${formatDate(message.timestamp)}):`, '', message.content, '');
+    }
+
+    lines.push('---', '');
+  }
+
+  return lines.join('\n');
+};
+
+const renderWellnessMarkdown = (checks) => {
+  const lines = ['# Wellness Check-ins', ''];
+
+  for (const check of checks) {
+    lines.push(`## ${formatDate(check.completedAt)} - mood ${check.mood}/10`, '');
+    if (check.unreadable) {
+      lines.push('*(analysis could not be decrypted)*', '');
+    } else {
+      lines.push(check.analysis, '');
+      for (const [question, answer] of Object.entries(check.answers || {})) {
+        lines.push(`- **${question}:** ${answer}`);
+      }
+      lines.push('');
+    }
+    lines.push('---', '');
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Build the export archive (JSON plus readable Markdown) for a user
+ * @param {string} userId - Owner of the data
+ * @returns {Promise<Object>} - { buffer, recordCounts }
+ */
+const buildExportArchive = async (userId) => {
+  const exportedAt = new Date();
+  const data = await collectUserData(userId);
+
+  const buffer = createZip([
+    { name: 'eunoia-export/README.md', content: renderProfileMarkdown(data, exportedAt) },
+    { name: 'eunoia-export/data.json', content: JSON.stringify({ exportedAt, ...data }, null, 2) },
+    { name: 'eunoia-export/journal.md', content: renderJournalMarkdown(data.journalEntries) },
+    { name: 'eunoia-export/chats.md', content: renderChatsMarkdown(data.chatSessions) },
+    { name: 'eunoia-export/wellness.md', content: renderWellnessMarkdown(data.wellnessChecks) }
+  ], exportedAt);
+
+  return {
+    buffer,
+    recordCounts: {
+      journalEntries: data.journalEntries.length,
+      chatSessions: data.chatSessions.length,
+      chatMessages: data.chatSessions.reduce((sum, s) => sum + s.messages.length, 0),
+      wellnessChecks: data.wellnessChecks.length,
+      riskEvents: data.riskEvents.length,
+      memories: data.memories.length
+    }
+  };
+};
+
+const uploadArchive = (job, buffer) => {
+  return new Promise((resolve, reject) => {
+    const upload = getBucket().openUploadStream(job.fileName, {
+      metadata: { userId: job.userId, exportJobId: job._id }
+    });
+    upload.once('finish', () => resolve(upload.id));
+    upload.once('error', reject);
+    upload.end(encryptBuffer(buffer));
+  });
+};
+
+/**
+ * Generate the archive for a job and store it encrypted in GridFS
+ * @param {Object} job - ExportJob document
+ */
+const processExportJob = async (job) => {
+  job.status = 'processing';
+  job.startedAt = Date.now();
+  job.fileName = `eunoia-export-${new Date().toISOString().slice(0, 10)}.zip`;
+  await job.save();
+
+  try {
+    // Background jobs can't rely on `protect` having loaded the key
+    await loadUserKey(job.userId);
+    const { buffer, recordCounts } = await buildExportArchive(job.userId);
+
+    job.fileId = await uploadArchive(job, buffer);
+    job.size = buffer.length;
+    job.recordCounts = recordCounts;
+    job.status = 'ready';
+    job.completedAt = Date.now();
+    job.expiresAt = new Date(Date.now() + EXPORT_TTL_HOURS * 60 * 60 * 1000);
+    await job.save();
+  } catch (error) {
+    console.error(`Export job ${job._id} failed:`, error);
+    job.status = 'failed';
+    job.error = 'Export could not be generated, please try again';
+    await job.save();
+  }
+
+  return job;
+};
+
+/**
+ * Start an export for a user, reusing one that is already running.
+ * Small exports finish before this resolves; large ones continue in the background.
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - ExportJob document
+ */
+const startExport = async (user) => {
+  const running = await ExportJob.findOne({
+    userId: user._id,
+    status: { $in: ['pending', 'processing'] }
+  });
+  if (running) {
+    return running;
+  }
+
+  const job = await ExportJob.create({ userId: user._id });
+
+  const counts = await Promise.all([
+    JournalEntry.countDocuments({ userId: user._id }),
+    ChatMessage.countDocuments({ userId: user._id }),
+    WellnessCheck.countDocuments({ userId: user._id })
+  ]);
+  const totalRecords = counts.reduce((sum, count) => sum + count, 0);
+
+  if (totalRecords <= INLINE_RECORD_LIMIT) {
+    return processExportJob(job);
+  }
+
+  setImmediate(() => {
+    processExportJob(job).catch(err => {
+      console.error(`Export job ${job._id} crashed:`, err);
+    });
+  });
+  return job;
+};
+
+/**
+ * Read and decrypt a finished export archive
+ * @param {Object} job - ExportJob document with status 'ready'
+ * @returns {Promise<Buffer>} - The zip archive
+ */
+const readExportArchive = async (job) => {
+  const chunks = [];
+  for await (const chunk of getBucket().openDownloadStream(job.fileId)) {
+    chunks.push(chunk);
+  }
+  return decryptBuffer(Buffer.concat(chunks));
+};
+
+const deleteJobs = async (jobs) => {
+  const bucket = getBucket();
+  for (const job of jobs) {
+    if (job.fileId) {
+      await bucket.delete(job.fileId).catch(err => {
+        console.error(`Failed to delete export file ${job.fileId}:`, err.message);
+      });
+    }
+  }
+  const result = await ExportJob.deleteMany({ _id: { $in: jobs.map(job => job._id) } });
+  return result.deletedCount;
+};
+
+/**
+ * Delete all exports (jobs and archives) belonging to a user
+ * @param {string} userId - Owner of the exports
+ * @returns {Promise<number>} - Number of export jobs deleted
+ */
+const deleteUserExports = async (userId) => {
+  return deleteJobs(await ExportJob.find({ userId }));
+};
+
+/**
+ * Remove expired archives and fail jobs that died with a previous process
+ */
+const cleanupExports = async () => {
+  await deleteJobs(await ExportJob.find({ expiresAt: { $lte: new Date() } }));
+
+  const staleBefore = new Date(Date.now() - STALE_JOB_MS);
+  await ExportJob.updateMany(
+    {
+      $or: [
+        { status: 'processing', startedAt: { $lte: staleBefore } },
+        { status: 'pending', createdAt: { $lte: staleBefore } }
+      ]
+    },
+    { $set: { status: 'failed', error: 'Export was interrupted, please try again' } }
+  );
+};
+
+/**
+ * Periodically clean up expired and interrupted exports
+ */
+const startExportSweeper = () => {
+  const timer = setInterval(() => {
+    cleanupExports().catch(err => {
+      console.error('Export cleanup failed:', err);
+    });
+  }, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  collectUserData,
+  buildExportArchive,
+  startExport,
+  readExportArchive,
+  deleteUserExports,
+  cleanupExports,
+  startExportSweeper
+};
@@ -1,5 +1,23 @@
 const nodemailer = require('nodemailer');
 
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+// Names typed in by users end up in emails to other people, so they must
+// not be able to add markup or extra headers
+const escapeHtml = (value) => {
+  return String(value).replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+};
+
+const headerText = (value) => {
+  return String(value).replace(/[\r\n]+/g, ' ').trim();
+};
+
 // Create transporter
 const createTransporter = async () => {
   // Use Gmail SMTP with credentials from .env
@@ -360,8 +378,648 @@ The Eunoia Team
   });
 };
 
+/**
+ * Send OTP email confirming ownership of an email address
+ * @param {Object} user - User object with name
+ * @param {string} otp - 6-digit OTP code
+ * @param {string} address - Address being verified (may differ from user.email)
+ */
+const sendEmailVerificationOTP = async (user, otp, address) => {
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body {
+          font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+          line-height: 1.6;
+          color: #333;
+          max-width: 600px;
+          margin: 0 auto;
+          padding: 20px;
+        }
+        .header {
+          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+          color: white;
+          padding: 30px 20px;
+          text-align: center;
+          border-radius: 10px 10px 0 0;
+        }
+        .content {
+          background: #f9f9f9;
+          padding: 40px 30px;
+          border-radius: 0 0 10px 10px;
+        }
+        .otp-box {
+          background: white;
+          border: 3px solid #667eea;
+          padding: 30px;
+          text-align: center;
+          border-radius: 10px;
+          margin: 30px 0;
+        }
+        .otp-code {
+          font-size: 48px;
+          font-weight: bold;
+          color: #667eea;
+          letter-spacing: 10px;
+          font-family: 'Courier New', monospace;
+        }
+        .footer {
+          text-align: center;
+          margin-top: 30px;
+          color: #666;
+          font-size: 14px;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="header">
+        <h1>✉️ Confirm Your Email</h1>
+      </div>
+      
+      <div class="content">
+        <h2>Hi ${user.name},</h2>
+        
+        <p>Please confirm that <strong>${address}</strong> belongs to you by entering the code below in the Eunoia app:</p>
+        
+        <div class="otp-box">
+          <p style="margin: 0; font-size: 14px; color: #666;">Your Verification Code</p>
+          <div class="otp-code">${otp}</div>
+          <p style="margin: 10px 0 0 0; font-size: 14px; color: #666;">Valid for 24 hours</p>
+        </div>
+        
+        <p>If you didn't create an account or change your email on Eunoia, you can safely ignore this email.</p>
+        
+        <p>
+          Best wishes,<br>
+          <strong>The Eunoia Team</strong>
+        </p>
+      </div>
+      
+      <div class="footer">
+        <p>This is an automated email. Please do not reply.</p>
+        <p>Eunoia - Your safe space for mental wellness 💜</p>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const text = `
+Hi ${user.name},
+
+Please confirm that ${address} belongs to you.
+
+Your verification code: ${otp}
+
+This code is valid for 24 hours.
+
+If you didn't create an account or change your email on Eunoia, you can safely ignore this email.
+
+Best wishes,
+The Eunoia Team
+  `;
+
+  await sendEmail({
+    to: address,
+    subject: '✉️ Confirm your email address - Eunoia',
+    html,
+    text,
+  });
+};
+
+/**
+ * Send notification that the account was locked after failed logins
+ * @param {Object} user - User object with name and email
+ * @param {Date} lockUntil - When the lock expires
+ */
+const sendAccountLockedEmail = async (user, lockUntil) => {
+  const unlockTime = new Date(lockUntil).toUTCString();
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body {
+          font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+          line-height: 1.6;
+          color: #333;
+          max-width: 600px;
+          margin: 0 auto;
+          padding: 20px;
+        }
+        .header {
+          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+          color: white;
+          padding: 30px 20px;
+          text-align: center;
+          border-radius: 10px 10px 0 0;
+        }
+        .content {
+          background: #f9f9f9;
+          padding: 40px 30px;
+          border-radius: 0 0 10px 10px;
+        }
+        .warning {
+          background: #fff3cd;
+          border-left: 4px solid #ffc107;
+          padding: 15px;
+          margin: 20px 0;
+          border-radius: 5px;
+        }
+        .footer {
+          text-align: center;
+          margin-top: 30px;
+          color: #666;
+          font-size: 14px;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="header">
+        <h1>🔒 Account Temporarily Locked</h1>
+      </div>
+      
+      <div class="content">
+        <h2>Hi ${user.name},</h2>
+        
+        <p>We noticed several unsuccessful attempts to sign in to your Eunoia account, so we've locked it temporarily to keep your data safe.</p>
+        
+        <p>You'll be able to sign in again after <strong>${unlockTime}</strong>.</p>
+        
+        <div class="warning">
+          <strong>⚠️ Wasn't you?</strong>
+          <ul style="margin: 10px 0 0 0; padding-left: 20px;">
+            <li>Someone may be trying to guess your password</li>
+            <li>Reset your password once the lock expires</li>
+            <li>Use a password you don't use anywhere else</li>
+          </ul>
+        </div>
+        
+        <p>If these attempts were yours, no action is needed - just wait for the lock to expire.</p>
+        
+        <p>
+          Stay safe,<br>
+          <strong>The Eunoia Team</strong>
+        </p>
+      </div>
+      
+      <div class="footer">
+        <p>This is an automated email. Please do not reply.</p>
+        <p>Eunoia - Your safe space for mental wellness 💜</p>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const text = `
+Hi ${user.name},
+
+Account Temporarily Locked
+
+We noticed several unsuccessful attempts to sign in to your Eunoia account, so we've locked it temporarily to keep your data safe.
+
+You'll be able to sign in again after ${unlockTime}.
+
+If this wasn't you, someone may be trying to guess your password. Reset your password once the lock expires.
+
+Stay safe,
+The Eunoia Team
+  `;
+
+  await sendEmail({
+    to: user.email,
+    subject: '🔒 Your Eunoia account has been temporarily locked',
+    html,
+    text,
+  });
+};
+
+/**
+ * Send confirmation that the account is scheduled for deletion
+ * @param {Object} user - User object with name and email
+ * @param {Date} scheduledFor - When the account will be purged
+ */
+const sendAccountDeletionScheduledEmail = async (user, scheduledFor) => {
+  const deletionDate = new Date(scheduledFor).toUTCString();
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body {
+          font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+          line-height: 1.6;
+          color: #333;
+          max-width: 600px;
+          margin: 0 auto;
+          padding: 20px;
+        }
+        .header {
+          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+          color: white;
+          padding: 30px 20px;
+          text-align: center;
+          border-radius: 10px 10px 0 0;
+        }
+        .content {
+          background: #f9f9f9;
+          padding: 40px 30px;
+          border-radius: 0 0 10px 10px;
+        }
+        .warning {
+          background: #fff3cd;
+          border-left: 4px solid #ffc107;
+          padding: 15px;
+          margin: 20px 0;
+          border-radius: 5px;
+        }
+        .footer {
+          text-align: center;
+          margin-top: 30px;
+          color: #666;
+          font-size: 14px;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="header">
+        <h1>👋 Account Deletion Scheduled</h1>
+      </div>
+      
+      <div class="content">
+        <h2>Hi ${user.name},</h2>
+        
+        <p>We've received your request to delete your Eunoia account. You've been signed out on all your devices.</p>
+        
+        <p>On <strong>${deletionDate}</strong> your account and everything in it - journal entries, chat conversations and wellness check-ins - will be permanently deleted.</p>
+        
+        <div class="warning">
+          <strong>Changed your mind?</strong>
+          <p style="margin: 10px 0 0 0;">Simply log in to the Eunoia app before that date and the deletion will be cancelled.</p>
+        </div>
+        
+        <p>Thank you for letting us be part of your journey. Take care of yourself. 💜</p>
+        
+        <p>
+          Warmly,<br>
+          <strong>The Eunoia Team</strong>
+        </p>
+      </div>
+      
+      <div class="footer">
+        <p>This is an automated email. Please do not reply.</p>
+        <p>Eunoia - Your safe space for mental wellness 💜</p>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const text = `
+Hi ${user.name},
+
+We've received your request to delete your Eunoia account. You've been signed out on all your devices.
+
+On ${deletionDate} your account and everything in it - journal entries, chat conversations and wellness check-ins - will be permanently deleted.
+
+Changed your mind? Simply log in to the Eunoia app before that date and the deletion will be cancelled.
+
+Warmly,
+The Eunoia Team
+  `;
+
+  await sendEmail({
+    to: user.email,
+    subject: 'Your Eunoia account is scheduled for deletion',
+    html,
+    text,
+  });
+};
+
+/**
+ * Send confirmation that the account and its data have been deleted
+ * @param {Object} user - User object with name and email (already deleted)
+ * @param {Array<Object>} [removed] - { label, count } per kind of data deleted
+ */
+const sendAccountDeletedEmail = async (user, removed = []) => {
+  const rows = removed.map(({ label, count }) => `
+          <tr><td>${escapeHtml(label)}</td><td style="text-align: right;">${count}</td></tr>`).join('');
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body {
+          font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+          line-height: 1.6;
+          color: #333;
+          max-width: 600px;
+          margin: 0 auto;
+          padding: 20px;
+        }
+        .header {
+          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+          color: white;
+          padding: 30px 20px;
+          text-align: center;
+          border-radius: 10px 10px 0 0;
+        }
+        .content {
+          background: #f9f9f9;
+          padding: 40px 30px;
+          border-radius: 0 0 10px 10px;
+        }
+        .warning {
+          background: #fff3cd;
+          border-left: 4px solid #ffc107;
+          padding: 15px;
+          margin: 20px 0;
+          border-radius: 5px;
+        }
+        .footer {
+          text-align: center;
+          margin-top: 30px;
+          color: #666;
+          font-size: 14px;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="header">
+        <h1>Your Account Has Been Deleted</h1>
+      </div>
+      
+      <div class="content">
+        <h2>Hi ${user.name},</h2>
+        
+        <p>As requested, your Eunoia account and all of its data - journal entries, chat conversations and wellness check-ins - have been permanently deleted.</p>
+        ${rows ? `
+        <p>This is everything that was removed:</p>
+        <table style="width: 100%; border-collapse: collapse;">${rows}
+        </table>
+        ` : ''}
+        <p>If you ever want to come back, you're always welcome to create a new account.</p>
+        
+        <p>
+          Take care,<br>
+          <strong>The Eunoia Team</strong>
+        </p>
+      </div>
+      
+      <div class="footer">
+        <p>This is an automated email. Please do not reply.</p>
+        <p>Eunoia - Your safe space for mental wellness 💜</p>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const text = `
+Hi ${user.name},
+
+As requested, your Eunoia account and all of its data - journal entries, chat conversations and wellness check-ins - have been permanently deleted.
+${removed.length > 0 ? `
+This is everything that was removed:
+${removed.map(({ label, count }) => `- ${label}: ${count}`).join('\n')}
+` : ''}
+If you ever want to come back, you're always welcome to create a new account.
+
+Take care,
+The Eunoia Team
+  `;
+
+  await sendEmail({
+    to: user.email,
+    subject: 'Your Eunoia account has been deleted',
+    html,
+    text,
+  });
+};
+
+/**
+ * Ask someone to confirm they agree to be a user's trusted contact. Nothing
+ * else is sent to them until they do.
+ * @param {Object} user - User who added the contact, with trustedContact set
+ * @param {string} confirmUrl - Link that confirms the contact
+ */
+const sendTrustedContactConfirmation = async (user, confirmUrl) => {
+  const contact = user.trustedContact;
+  const userName = escapeHtml(user.name);
+  const contactName = contact.name ? ` ${escapeHtml(contact.name)}` : '';
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body {
+          font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+          line-height: 1.6;
+          color: #333;
+          max-width: 600px;
+          margin: 0 auto;
+          padding: 20px;
+        }
+        .header {
+          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+          color: white;
+          padding: 30px 20px;
+          text-align: center;
+          border-radius: 10px 10px 0 0;
+        }
+        .content {
+          background: #f9f9f9;
+          padding: 40px 30px;
+          border-radius: 0 0 10px 10px;
+        }
+        .button {
+          display: inline-block;
+          background: #667eea;
+          color: white !important;
+          padding: 12px 30px;
+          text-decoration: none;
+          border-radius: 5px;
+          margin: 20px 0;
+        }
+        .footer {
+          text-align: center;
+          margin-top: 30px;
+          color: #666;
+          font-size: 14px;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="header">
+        <h1>Will You Be a Trusted Contact?</h1>
+      </div>
+      
+      <div class="content">
+        <h2>Hi${contactName},</h2>
+        
+        <p>${userName} would like to add you as their trusted contact on Eunoia, a mental wellness app. If something they write suggests they may be going through a hard time, we would email you so you can check in on them. We never share what they wrote.</p>
+        
+        <p>If you agree, please confirm:</p>
+        
+        <p style="text-align: center;">
+          <a href="${escapeHtml(confirmUrl)}" class="button">Confirm</a>
+        </p>
+        
+        <p>If you don't know ${userName} or don't want to be their trusted contact, just ignore this email and you won't hear from us again.</p>
+        
+        <p>
+          With care,<br>
+          <strong>The Eunoia Team</strong>
+        </p>
+      </div>
+      
+      <div class="footer">
+        <p>This is an automated email. Please do not reply.</p>
+        <p>Eunoia - Your safe space for mental wellness 💜</p>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const text = `
+Hi${contact.name ? ` ${contact.name}` : ''},
+
+${user.name} would like to add you as their trusted contact on Eunoia, a mental wellness app. If something they write suggests they may be going through a hard time, we would email you so you can check in on them. We never share what they wrote.
+
+If you agree, please confirm here:
+${confirmUrl}
+
+If you don't know ${user.name} or don't want to be their trusted contact, just ignore this email and you won't hear from us again.
+
+With care,
+The Eunoia Team
+  `;
+
+  await sendEmail({
+    to: contact.email,
+    subject: headerText(`${user.name} would like you as their trusted contact on Eunoia`),
+    html,
+    text,
+  });
+};
+
+const sendTrustedContactAlert = async (user, resources) => {
+  const contact = user.trustedContact;
+  const userName = escapeHtml(user.name);
+  const formatService = (service) => [
+    service.name,
+    service.phone && `call ${service.phone}`,
+    service.sms && `text ${service.sms}`,
+    service.url
+  ].filter(Boolean).join(' - ');
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body {
+          font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+          line-height: 1.6;
+          color: #333;
+          max-width: 600px;
+          margin: 0 auto;
+          padding: 20px;
+        }
+        .header {
+          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+          color: white;
+          padding: 30px 20px;
+          text-align: center;
+          border-radius: 10px 10px 0 0;
+        }
+        .content {
+          background: #f9f9f9;
+          padding: 40px 30px;
+          border-radius: 0 0 10px 10px;
+        }
+        .warning {
+          background: #fff3cd;
+          border-left: 4px solid #ffc107;
+          padding: 15px;
+          margin: 20px 0;
+          border-radius: 5px;
+        }
+        .footer {
+          text-align: center;
+          margin-top: 30px;
+          color: #666;
+          font-size: 14px;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="header">
+        <h1>${userName} May Need Your Support</h1>
+      </div>
+      
+      <div class="content">
+        <h2>Hi${contact.name ? ` ${escapeHtml(contact.name)}` : ''},</h2>
+        
+        <p>${userName} added you as their trusted contact on Eunoia, a mental wellness app, and asked us to let you know if they might be going through a hard time.</p>
+        
+        <p>Something they wrote recently suggests they may be struggling. We don't share what they wrote, but a message or call from someone they trust can make a real difference.</p>
+        
+        <div class="warning">
+          <strong>If you think they are in immediate danger</strong>, contact ${resources.emergencyNumber ? `emergency services on <strong>${resources.emergencyNumber}</strong>` : 'your local emergency services'}.
+          <ul style="margin: 10px 0 0 0; padding-left: 20px;">
+            ${resources.services.map(service => `<li>${formatService(service)}</li>`).join('\n            ')}
+          </ul>
+        </div>
+        
+        <p>
+          With care,<br>
+          <strong>The Eunoia Team</strong>
+        </p>
+      </div>
+      
+      <div class="footer">
+        <p>This is an automated email. Please do not reply.</p>
+        <p>Eunoia - Your safe space for mental wellness 💜</p>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const text = `
+Hi${contact.name ? ` ${contact.name}` : ''},
+
+${user.name} added you as their trusted contact on Eunoia, a mental wellness app, and asked us to let you know if they might be going through a hard time.
+
+Something they wrote recently suggests they may be struggling. We don't share what they wrote, but a message or call from someone they trust can make a real difference.
+
+If you think they are in immediate danger, contact ${resources.emergencyNumber ? `emergency services on ${resources.emergencyNumber}` : 'your local emergency services'}.
+${resources.services.map(service => `- ${formatService(service)}`).join('\n')}
+
+With care,
+The Eunoia Team
+  `;
+
+  await sendEmail({
+    to: contact.email,
+    subject: headerText(`${user.name} may need your support`),
+    html,
+    text,
+  });
+};
+
 module.exports = {
+  escapeHtml,
   sendEmail,
   sendWelcomeEmail,
   sendPasswordResetOTP,
+  sendEmailVerificationOTP,
+  sendAccountLockedEmail,
+  sendAccountDeletionScheduledEmail,
+  sendAccountDeletedEmail,
+  sendTrustedContactConfirmation,
+  sendTrustedContactAlert,
 };
@@ -0,0 +1,182 @@
+// Emotion analyzers read a journal entry and return
+// { primary_emotion, emotion_confidence, detected_emotions: [{ emotion, score }],
+//   emotional_state_summary, tags }, the shape stored as entry.mlAnalysis.
+// Entries are analyzed on the server so the result doesn't depend on (or
+// trust) the client. EMOTION_ANALYZER picks one.
+const MAX_EMOTIONS = 5;
+const MAX_TAGS = 5;
+const NEGATION_WINDOW = 3; // Words before a term that can negate it
+
+// Terms per emotion. A term is a word or phrase; a trailing * matches any
+// word starting with it ("anxi*" matches anxious and anxiety). English only.
+const EMOTION_LEXICON = {
+  joy: ['happy', 'happi*', 'joy*', 'glad', 'excit*', 'delight*', 'cheerful', 'fun', 'great', 'wonderful', 'amazing', 'smil*', 'laugh*'],
+  gratitude: ['grateful', 'gratitude', 'thankful', 'thanks', 'appreciat*', 'blessed'],
+  love: ['love', 'loved', 'loving', 'adore', 'cherish*', 'affection*'],
+  optimism: ['hope', 'hopeful*', 'hoping', 'optimis*', 'looking forward', 'motivated', 'progress', 'determined'],
+  pride: ['proud', 'accomplish*', 'achiev*', 'succeed*', 'success*', 'nailed'],
+  relief: ['relief', 'reliev*', 'calm*', 'peace*', 'relax*', 'rested', 'content'],
+  sadness: ['sad', 'sadness', 'unhappy', 'depress*', 'cry', 'cried', 'crying', 'tears', 'miserable', 'empty', 'feel low', 'feeling low', 'feeling down', 'feel down', 'heartbroken'],
+  grief: ['grief', 'griev*', 'mourn*', 'passed away', 'funeral', 'loss of'],
+  loneliness: ['lonely', 'loneliness', 'alone', 'isolat*', 'left out', 'no friends'],
+  fear: ['afraid', 'scared', 'fear', 'fears', 'terrified', 'panic*', 'dread*'],
+  nervousness: ['anxi*', 'nervous*', 'worr*', 'stress*', 'overwhelm*', 'tense', 'uneasy', 'on edge'],
+  anger: ['angry', 'anger', 'furious', 'rage', 'mad at', 'hate', 'hated', 'pissed'],
+  annoyance: ['annoy*', 'irritat*', 'frustrat*', 'fed up', 'sick of'],
+  disappointment: ['disappoint*', 'let down', 'regret*', 'failed', 'failure'],
+  remorse: ['guilt', 'guilty', 'ashamed', 'shame', 'sorry', 'my fault'],
+  tiredness: ['tired', 'exhaust*', 'drained', 'burnt out', 'burned out', 'fatigue*', 'sleepy']
+};
+
+// Terms per topic, for mlAnalysis.tags
+const TOPIC_LEXICON = {
+  work: ['work', 'working', 'job', 'boss', 'manager', 'colleague*', 'coworker*', 'office', 'meeting*', 'deadline*', 'career'],
+  school: ['school', 'exam*', 'test', 'tests', 'class', 'classes', 'homework', 'study', 'studying', 'teacher*', 'college', 'universit*', 'assignment*', 'grades'],
+  family: ['family', 'mom', 'mum', 'mother', 'dad', 'father', 'parents', 'brother', 'sister', 'son', 'daughter', 'grandma', 'grandpa'],
+  relationships: ['partner', 'boyfriend', 'girlfriend', 'husband', 'wife', 'dating', 'relationship*', 'breakup', 'broke up'],
+  friends: ['friend', 'friends', 'friendship*', 'party', 'hang out', 'hung out'],
+  health: ['sick', 'ill', 'doctor*', 'pain', 'headache*', 'health*', 'hospital*', 'medication*', 'therap*'],
+  sleep: ['sleep*', 'slept', 'insomnia', 'nightmare*', 'woke up', 'nap'],
+  exercise: ['exercis*', 'workout*', 'gym', 'run', 'running', 'walk', 'walked', 'walking', 'yoga', 'swim*'],
+  money: ['money', 'rent', 'bills', 'debt*', 'salary', 'afford*'],
+  'self-care': ['meditat*', 'journaling', 'self-care', 'self care', 'breathing', 'mindful*']
+};
+
+const NEGATIONS = new Set(['not', 'no', 'never', 'dont', 'didnt', 'doesnt', 'isnt', 'wasnt', 'arent', 'werent', 'cant', 'cannot', 'hardly', 'without']);
+const INTENSIFIERS = new Set(['very', 'so', 'really', 'extremely', 'incredibly', 'totally', 'completely', 'super', 'deeply']);
+
+const tokenize = (text) => {
+  return (text || '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .split(/[^a-z0-9-]+/)
+    .filter(Boolean);
+};
+
+const matchesWord = (word, part) => {
+  return part.endsWith('*') ? word.startsWith(part.slice(0, -1)) : word === part;
+};
+
+// Positions where a term (one or more words) starts
+const findMatches = (words, term) => {
+  const parts = term.split(' ');
+  const positions = [];
+  for (let i = 0; i + parts.length <= words.length; i++) {
+    const matches = parts.every((part, offset) => matchesWord(words[i + offset], part));
+    if (matches) {
+      positions.push(i);
+    }
+  }
+  return positions;
+};
+
+const isNegated = (words, position) => {
+  return words.slice(Math.max(0, position - NEGATION_WINDOW), position).some(word => NEGATIONS.has(word));
+};
+
+const describe = (emotions) => {
+  if (emotions.length === 0) {
+    return 'No strong emotions stood out in this entry.';
+  }
+  const [primary, ...others] = emotions.map(({ emotion }) => emotion);
+  return others.length > 0
+    ? `Mostly ${primary}, with some ${others.slice(0, 2).join(' and ')}.`
+    : `Mostly ${primary}.`;
+};
+
+// Counts lexicon words, skipping negated ones ("not happy") and weighting
+// intensified ones ("really anxious")
+const lexiconAnalyzer = {
+  name: 'lexicon',
+  async analyze({ title, content }) {
+    const words = tokenize(`${title || ''} ${content || ''}`);
+
+    const weights = {};
+    for (const [emotion, terms] of Object.entries(EMOTION_LEXICON)) {
+      for (const term of terms) {
+        for (const position of findMatches(words, term)) {
+          if (isNegated(words, position)) {
+            continue;
+          }
+          const weight = INTENSIFIERS.has(words[position - 1]) ? 1.5 : 1;
+          weights[emotion] = (weights[emotion] || 0) + weight;
+        }
+      }
+    }
+
+    // Scores are shares of all the emotional words, damped so a single word
+    // can't produce a confident result
+    const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    const detected = Object.entries(weights)
+      .map(([emotion, weight]) => ({ emotion, score: Math.round((weight / (total + 1)) * 100) / 100 }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_EMOTIONS);
+
+    const tags = Object.entries(TOPIC_LEXICON)
+      .map(([topic, terms]) => ({
+        topic,
+        count: terms.reduce((sum, term) => sum + findMatches(words, term).length, 0)
+      }))
+      .filter(({ count }) => count > 0)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, MAX_TAGS)
+      .map(({ topic }) => topic);
+
+    return {
+      primary_emotion: detected.length > 0 ? detected[0].emotion : 'neutral',
+      emotion_confidence: detected.length > 0 ? detected[0].score : 0,
+      detected_emotions: detected,
+      emotional_state_summary: describe(detected),
+      tags
+    };
+  }
+};
+
+const analyzers = new Map([
+  [lexiconAnalyzer.name, lexiconAnalyzer]
+]);
+
+/**
+ * Make an analyzer available to EMOTION_ANALYZER
+ * @param {Object} analyzer - { name, analyze({ title, content }) }
+ */
+const registerAnalyzer = (analyzer) => {
+  analyzers.set(analyzer.name, analyzer);
+};
+
+/**
+ * The configured analyzer
+ * @returns {Object} - { name, analyze }
+ */
+const getAnalyzer = () => {
+  const name = process.env.EMOTION_ANALYZER || lexiconAnalyzer.name;
+  const analyzer = analyzers.get(name);
+  if (!analyzer) {
+    throw new Error(`Unknown EMOTION_ANALYZER "${name}"`);
+  }
+  return analyzer;
+};
+
+/**
+ * Analyze a journal entry with the configured analyzer. Never throws: an
+ * entry is saved without analysis if the analyzer fails, and picked up by
+ * the backfill script later.
+ * @param {Object} entry - Plain text { title, content }
+ * @returns {Promise<Object|null>} - The mlAnalysis to store, or null
+ */
+const analyzeEntry = async ({ title, content }) => {
+  try {
+    const analyzer = getAnalyzer();
+    const analysis = await analyzer.analyze({ title, content });
+    return { ...analysis, analyzer: analyzer.name, timestamp: new Date().toISOString() };
+  } catch (error) {
+    console.error('Emotion analysis failed:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  registerAnalyzer,
+  getAnalyzer,
+  analyzeEntry
+};
@@ -0,0 +1,67 @@
+const User = require('../models/User');
+const JournalEntry = require('../models/JournalEntry');
+const WellnessCheck = require('../models/WellnessCheck');
+const DataKey = require('../models/DataKey');
+const Memory = require('../models/Memory');
+const { ChatMessage, ChatSession } = require('../models/Chat');
+
+// Every field stored encrypted, for maintenance jobs that work on the raw
+// collections (bypassing the model getters). Fields may be dotted paths into
+// nested objects. `mapFields` are Maps whose values are each encrypted
+// separately. `perUser` collections are encrypted with the owning user's data
+// key, the rest with the master key.
+const ENCRYPTED_FIELDS = [
+  { model: JournalEntry, fields: ['title', 'content'], perUser: true },
+  { model: ChatMessage, fields: ['content', 'feedback.reason'], perUser: true },
+  { model: ChatSession, fields: ['title', 'summary'], perUser: true },
+  { model: WellnessCheck, fields: ['analysis'], mapFields: ['answers'], perUser: true },
+  { model: Memory, fields: ['content'], perUser: true },
+  { model: User, fields: ['twoFactorSecret', 'twoFactorPendingSecret'] },
+  { model: DataKey, fields: ['wrappedKey'] }
+];
+
+/**
+ * Projection selecting only the encrypted fields of a collection
+ * @param {Object} spec - Entry from ENCRYPTED_FIELDS
+ * @returns {Object}
+ */
+const getProjection = (spec) => {
+  const projection = spec.perUser ? { userId: 1 } : {};
+  for (const field of [...spec.fields, ...(spec.mapFields || [])]) {
+    projection[field] = 1;
+  }
+  return projection;
+};
+
+/**
+ * List the encrypted values present on a raw document
+ * @param {Object} spec - Entry from ENCRYPTED_FIELDS
+ * @param {Object} rawDoc - Document as stored in MongoDB
+ * @returns {Array<{path: string, value: string}>} - Dotted path and stored value
+ */
+const getEncryptedValues = (spec, rawDoc) => {
+  const values = [];
+
+  for (const field of spec.fields) {
+    const value = field.split('.').reduce((parent, key) => parent && parent[key], rawDoc);
+    if (typeof value === 'string' && value) {
+      values.push({ path: field, value });
+    }
+  }
+
+  for (const field of spec.mapFields || []) {
+    for (const [key, value] of Object.entries(rawDoc[field] || {})) {
+      if (typeof value === 'string' && value) {
+        values.push({ path: `${field}.${key}`, value });
+      }
+    }
+  }
+
+  return values;
+};
+
+module.exports = {
+  ENCRYPTED_FIELDS,
+  getProjection,
+  getEncryptedValues
+};
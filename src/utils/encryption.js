@@ -6,9 +6,81 @@ const IV_LENGTH = 16; // For GCM mode
 const AUTH_TAG_LENGTH = 16;
 const SALT_LENGTH = 64;
 
-function getEncryptionKey() {
-  const key = process.env.ENCRYPTION_KEY;
-  if (!key) {
+// Key versions: ENCRYPTION_KEYS="2:new-secret,1:old-secret" lists every key
+// that may still be needed for decryption, and ENCRYPTION_KEY_VERSION picks
+// the one new data is encrypted with (defaults to the highest). A lone
+// ENCRYPTION_KEY is version 1, which is also the version of all ciphertext
+// written before versioning existed (iv:authTag:encryptedData).
+const LEGACY_KEY_VERSION = 1;
+const VERSION_PATTERN = /^v(\d+)$/;
+const BUFFER_VERSION_MARKER = 0x76; // "v"
+
+// Ciphertext under a user's own data key (see utils/userKeys.js) is tagged
+// "u1" instead of a master key version
+const DATA_KEY_PREFIX = "u1";
+
+// Any of the formats above: [v<version>: | u1:]iv:authTag:encryptedData
+const CIPHERTEXT_PATTERN = /^(?:(?:v\d+|u1):)?[0-9a-f]{32}:[0-9a-f]{32}:[0-9a-f]*$/;
+// Looser: anything tagged with a key, or three colon-separated hex runs, was
+// written as ciphertext even if it has since been truncated or mangled
+const CIPHERTEXT_STRUCTURE_PATTERN = /^(?:(?:v\d+|u1):|[0-9a-f]+:[0-9a-f]+:[0-9a-f]*$)/i;
+
+function getKeySecrets() {
+  const secrets = new Map();
+
+  if (process.env.ENCRYPTION_KEYS) {
+    for (const entry of process.env.ENCRYPTION_KEYS.split(",")) {
+      const separator = entry.indexOf(":");
+      const version = parseInt(entry.slice(0, separator));
+      const secret = entry.slice(separator + 1).trim();
+      if (!Number.isInteger(version) || version < 1 || version > 255 || !secret) {
+        throw new Error("Invalid ENCRYPTION_KEYS entry, expected version:secret");
+      }
+      secrets.set(version, secret);
+    }
+  } else if (process.env.ENCRYPTION_KEY) {
+    secrets.set(LEGACY_KEY_VERSION, process.env.ENCRYPTION_KEY);
+  }
+
+  return secrets;
+}
+
+// Key derivation: scrypt is deliberately slow and blocks the event loop, so
+// each configured key is derived once and cached. The salt and cost
+// parameters must not change while data encrypted under them exists; the
+// defaults are what every key has been derived with so far.
+const DEFAULT_KDF_SALT = "salt";
+const DEFAULT_KDF_COST = 16384;
+const DEFAULT_KDF_BLOCK_SIZE = 8;
+const DEFAULT_KDF_PARALLELISM = 1;
+
+let derivedKeys = null;
+
+function getKdfOptions() {
+  const N = parseInt(process.env.ENCRYPTION_KDF_COST) || DEFAULT_KDF_COST;
+  const r = parseInt(process.env.ENCRYPTION_KDF_BLOCK_SIZE) || DEFAULT_KDF_BLOCK_SIZE;
+  const p = parseInt(process.env.ENCRYPTION_KDF_PARALLELISM) || DEFAULT_KDF_PARALLELISM;
+  // scrypt needs about 128 * N * r bytes; leave headroom over Node's 32MB default
+  return { N, r, p, maxmem: Math.max(32 * 1024 * 1024, 256 * N * r) };
+}
+
+/**
+ * Derive and cache every configured key. Called at startup so that a missing
+ * or invalid configuration stops the server instead of failing on first use.
+ * @returns {Map<number, Buffer>} - Derived 32-byte key per version
+ */
+function loadEncryptionKeys() {
+  if (derivedKeys) {
+    return derivedKeys;
+  }
+
+  const secrets = getKeySecrets();
+  const keys = new Map();
+
+  if (secrets.size === 0) {
+    if (process.env.NODE_ENV === "production") {
+      throw new Error("ENCRYPTION_KEY must be set in production");
+    }
     console.error(
       "WARNING: ENCRYPTION_KEY not set in environment variables!"
     );
@@ -16,15 +88,92 @@ function getEncryptionKey() {
       "Using a temporary key - DATA WILL NOT BE RECOVERABLE AFTER RESTART!"
     );
     console.error("Please set ENCRYPTION_KEY in your .env file"); // Generate a temporary key (NOT for production use)
-    return crypto.randomBytes(32);
-  } // Derive a 32-byte key from the environment variable
-  return crypto.scryptSync(key, "salt", 32);
+    keys.set(LEGACY_KEY_VERSION, crypto.randomBytes(32));
+  } else {
+    const salt = process.env.ENCRYPTION_KDF_SALT || DEFAULT_KDF_SALT;
+    const options = getKdfOptions();
+    for (const [version, secret] of secrets) {
+      keys.set(version, crypto.scryptSync(secret, salt, 32, options));
+    }
+  }
+
+  derivedKeys = keys;
+  return keys;
+}
+
+/**
+ * Key version used to encrypt new data
+ * @returns {number}
+ */
+function getCurrentKeyVersion() {
+  const configured = parseInt(process.env.ENCRYPTION_KEY_VERSION);
+  if (configured) {
+    return configured;
+  }
+
+  return Math.max(...loadEncryptionKeys().keys());
+}
+
+function getEncryptionKey(version = getCurrentKeyVersion()) {
+  const key = loadEncryptionKeys().get(version);
+  if (!key) {
+    throw new Error(`Encryption key version ${version} is not configured`);
+  }
+  return key;
+}
+
+/**
+ * Split ciphertext into its parts
+ * @param {string} encryptedText - v<version>:iv:authTag:encryptedData,
+ *   u1:iv:authTag:encryptedData (user data key), or the unversioned legacy
+ *   format iv:authTag:encryptedData
+ * @returns {Object} - { version, dataKey, ivHex, authTagHex, encryptedData }
+ */
+function parseCiphertext(encryptedText) {
+  const parts = encryptedText.split(":");
+
+  if (parts.length === 3) {
+    const [ivHex, authTagHex, encryptedData] = parts;
+    return { version: LEGACY_KEY_VERSION, ivHex, authTagHex, encryptedData };
+  }
+
+  if (parts.length === 4 && parts[0] === DATA_KEY_PREFIX) {
+    const [, ivHex, authTagHex, encryptedData] = parts;
+    return { version: null, dataKey: true, ivHex, authTagHex, encryptedData };
+  }
+
+  const versionMatch = parts.length === 4 && parts[0].match(VERSION_PATTERN);
+  if (versionMatch) {
+    const [, ivHex, authTagHex, encryptedData] = parts;
+    return { version: parseInt(versionMatch[1]), ivHex, authTagHex, encryptedData };
+  }
+
+  throw new Error("Invalid encrypted data format");
+}
+
+function encryptWithKey(text, key, prefix) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  let encrypted = cipher.update(text, "utf8", "hex");
+  encrypted += cipher.final("hex");
+  const authTag = cipher.getAuthTag(); // Return format: prefix:iv:authTag:encryptedData (all in hex)
+  return `${prefix}:${iv.toString("hex")}:${authTag.toString("hex")}:${encrypted}`;
+}
+
+function decryptWithKey({ ivHex, authTagHex, encryptedData }, key) {
+  const iv = Buffer.from(ivHex, "hex");
+  const authTag = Buffer.from(authTagHex, "hex");
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(authTag);
+  let decrypted = decipher.update(encryptedData, "hex", "utf8");
+  decrypted += decipher.final("utf8");
+  return decrypted;
 }
 
 /**
  * Encrypt sensitive text data
  * @param {string} text - Plain text to encrypt
- * @returns {string} - Encrypted text in format: iv:authTag:encryptedData (hex encoded)
+ * @returns {string} - Encrypted text in format: v<keyVersion>:iv:authTag:encryptedData (hex encoded)
  */
 function encrypt(text) {
   if (!text || typeof text !== "string") {
@@ -32,13 +181,8 @@ function encrypt(text) {
   }
 
   try {
-    const key = getEncryptionKey();
-    const iv = crypto.randomBytes(IV_LENGTH);
-    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
-    let encrypted = cipher.update(text, "utf8", "hex");
-    encrypted += cipher.final("hex");
-    const authTag = cipher.getAuthTag(); // Return format: iv:authTag:encryptedData (all in hex)
-    return `${iv.toString("hex")}:${authTag.toString("hex")}:${encrypted}`;
+    const version = getCurrentKeyVersion();
+    return encryptWithKey(text, getEncryptionKey(version), `v${version}`);
   } catch (error) {
     console.error("Encryption error:", error.message);
     throw new Error("Failed to encrypt data");
@@ -47,34 +191,183 @@ function encrypt(text) {
 
 /**
  * Decrypt encrypted text data
- * @param {string} encryptedText - Encrypted text in format: iv:authTag:encryptedData
+ * @param {string} encryptedText - Encrypted text in format: [v<keyVersion>:]iv:authTag:encryptedData
  * @returns {string} - Decrypted plain text
  */
 function decrypt(encryptedText) {
   if (!encryptedText || typeof encryptedText !== "string") {
     return encryptedText;
-  } // Check if the text is actually encrypted (contains colons)
+  } // Check if the text is actually encrypted (has the shape of ciphertext)
 
-  if (!encryptedText.includes(":")) {
-    // Not encrypted, return as is (for backward compatibility)
+  if (!hasCiphertextStructure(encryptedText)) {
+    // Not encrypted, return as is (for backward compatibility; plaintext may
+    // well contain colons)
     return encryptedText;
   }
 
   try {
-    const parts = encryptedText.split(":");
-    if (parts.length !== 3) {
-      throw new Error("Invalid encrypted data format");
+    const parsed = parseCiphertext(encryptedText);
+    if (parsed.dataKey) {
+      throw new Error("Encrypted with a user data key, use decryptWithDataKey");
     }
+    return decryptWithKey(parsed, getEncryptionKey(parsed.version));
+  } catch (error) {
+    console.error("Decryption error:", error.message);
+    throw new Error("Failed to decrypt data");
+  }
+}
 
-    const [ivHex, authTagHex, encryptedData] = parts;
-    const key = getEncryptionKey();
-    const iv = Buffer.from(ivHex, "hex");
-    const authTag = Buffer.from(authTagHex, "hex");
-    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
-    decipher.setAuthTag(authTag);
-    let decrypted = decipher.update(encryptedData, "hex", "utf8");
-    decrypted += decipher.final("utf8");
-    return decrypted;
+/**
+ * Encrypt text with a user's data key
+ * @param {string} text - Plain text to encrypt
+ * @param {Buffer} dataKey - The user's 32-byte data key
+ * @returns {string} - Encrypted text in format: u1:iv:authTag:encryptedData
+ */
+function encryptWithDataKey(text, dataKey) {
+  if (!text || typeof text !== "string") {
+    return text;
+  }
+
+  try {
+    return encryptWithKey(text, dataKey, DATA_KEY_PREFIX);
+  } catch (error) {
+    console.error("Encryption error:", error.message);
+    throw new Error("Failed to encrypt data");
+  }
+}
+
+/**
+ * Decrypt text stored for a user. Values not yet migrated to the user's
+ * data key are decrypted with the master key as before.
+ * @param {string} encryptedText - Stored value
+ * @param {Buffer} [dataKey] - The user's 32-byte data key
+ * @returns {string} - Decrypted plain text
+ */
+function decryptWithDataKey(encryptedText, dataKey) {
+  if (!isDataKeyCiphertext(encryptedText)) {
+    return decrypt(encryptedText);
+  }
+
+  try {
+    if (!dataKey) {
+      throw new Error("User data key is not available");
+    }
+    return decryptWithKey(parseCiphertext(encryptedText), dataKey);
+  } catch (error) {
+    console.error("Decryption error:", error.message);
+    throw new Error("Failed to decrypt data");
+  }
+}
+
+/**
+ * Check whether a stored value has the shape of ciphertext. Unlike the colon
+ * check in decrypt, this tells plaintext that happens to contain a colon apart
+ * from (possibly damaged) ciphertext.
+ * @param {string} text - Stored value
+ * @returns {boolean}
+ */
+function isCiphertext(text) {
+  return typeof text === "string" && CIPHERTEXT_PATTERN.test(text);
+}
+
+/**
+ * Check whether a stored value was written as ciphertext. Unlike isCiphertext
+ * this also holds for damaged ciphertext (a truncated tag, bad hex), which
+ * must never be taken for plaintext and encrypted over.
+ * @param {string} text - Stored value
+ * @returns {boolean}
+ */
+function hasCiphertextStructure(text) {
+  return typeof text === "string" && CIPHERTEXT_STRUCTURE_PATTERN.test(text);
+}
+
+/**
+ * Check whether a stored value is encrypted with a user's data key
+ * @param {string} encryptedText - Stored value
+ * @returns {boolean}
+ */
+function isDataKeyCiphertext(encryptedText) {
+  return typeof encryptedText === "string" && encryptedText.startsWith(`${DATA_KEY_PREFIX}:`);
+}
+
+/**
+ * Master key version a value was encrypted with
+ * @param {string} encryptedText - Stored value
+ * @returns {number|null} - Key version, or null if the value isn't encrypted
+ *   with the master key
+ */
+function getKeyVersion(encryptedText) {
+  if (!encryptedText || typeof encryptedText !== "string" || !encryptedText.includes(":")) {
+    return null;
+  }
+  return parseCiphertext(encryptedText).version;
+}
+
+/**
+ * Check whether a stored value is encrypted under an older master key
+ * @param {string} encryptedText - Stored value
+ * @returns {boolean}
+ */
+function needsReencryption(encryptedText) {
+  const version = getKeyVersion(encryptedText);
+  return version !== null && version !== getCurrentKeyVersion();
+}
+
+/**
+ * Re-encrypt a stored value under the current key
+ * @param {string} encryptedText - Stored value
+ * @returns {string} - Ciphertext under the current key version
+ */
+function reencrypt(encryptedText) {
+  return encrypt(decrypt(encryptedText));
+}
+
+/**
+ * Encrypt binary data (e.g. generated files)
+ * @param {Buffer} buffer - Plain data
+ * @returns {Buffer} - "v" + keyVersion byte + iv + authTag + encryptedData
+ */
+function encryptBuffer(buffer) {
+  const version = getCurrentKeyVersion();
+  const key = getEncryptionKey(version);
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const encrypted = Buffer.concat([cipher.update(buffer), cipher.final()]);
+  return Buffer.concat([
+    Buffer.from([BUFFER_VERSION_MARKER, version]),
+    iv,
+    cipher.getAuthTag(),
+    encrypted
+  ]);
+}
+
+function decryptBufferWithKey(buffer, version) {
+  const key = getEncryptionKey(version);
+  const iv = buffer.subarray(0, IV_LENGTH);
+  const authTag = buffer.subarray(IV_LENGTH, IV_LENGTH + AUTH_TAG_LENGTH);
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([
+    decipher.update(buffer.subarray(IV_LENGTH + AUTH_TAG_LENGTH)),
+    decipher.final()
+  ]);
+}
+
+/**
+ * Decrypt binary data produced by encryptBuffer
+ * @param {Buffer} buffer - Encrypted data (versioned or legacy iv + authTag + data)
+ * @returns {Buffer} - Plain data
+ */
+function decryptBuffer(buffer) {
+  try {
+    if (buffer[0] === BUFFER_VERSION_MARKER) {
+      try {
+        return decryptBufferWithKey(buffer.subarray(2), buffer[1]);
+      } catch (error) {
+        // A legacy buffer whose random IV happens to start with the marker
+      }
+    }
+    return decryptBufferWithKey(buffer, LEGACY_KEY_VERSION);
   } catch (error) {
     console.error("Decryption error:", error.message);
     throw new Error("Failed to decrypt data");
@@ -90,6 +383,18 @@ function decrypt(encryptedText) {
 // }
 
 module.exports = {
+  loadEncryptionKeys,
   encrypt,
   decrypt, // generateEncryptionKey
+  encryptBuffer,
+  decryptBuffer,
+  getCurrentKeyVersion,
+  getKeyVersion,
+  needsReencryption,
+  reencrypt,
+  encryptWithDataKey,
+  decryptWithDataKey,
+  isDataKeyCiphertext,
+  isCiphertext,
+  hasCiphertextStructure,
 };
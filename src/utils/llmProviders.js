@@ -0,0 +1,145 @@
+const axios = require('axios');
+
+// Language model providers for the chat companion. A provider takes the
+// conversation as [{ role: 'system' | 'user' | 'assistant', content }];
+// `generateReply` resolves to { content, model } and the optional
+// `streamReply` is an async iterator of text chunks that stops when `signal`
+// aborts. LLM_PROVIDER picks one; without it the OpenAI-compatible provider
+// is used when LLM_API_KEY is set, else the stub.
+const DEFAULT_TIMEOUT_MS = 30000;
+const STUB_CHUNK_DELAY_MS = parseInt(process.env.LLM_STUB_CHUNK_DELAY_MS) || 50;
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    return reject(signal.reason);
+  }
+  const timer = setTimeout(resolve, ms);
+  if (signal) {
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  }
+});
+
+const stubReply = (messages) => {
+  const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+  const said = lastUserMessage ? lastUserMessage.content.trim() : '';
+  return said
+    ? `Thank you for sharing that. You said: "${said}". How are you feeling about it right now?`
+    : 'I\'m here and listening. What\'s on your mind?';
+};
+
+// Deterministic replies without any network calls, for local development and
+// tests. Streams word by word on a timer to behave like a real model.
+const stubProvider = {
+  name: 'stub',
+  async generateReply(messages) {
+    return { content: stubReply(messages), model: 'stub' };
+  },
+  async *streamReply(messages, { signal } = {}) {
+    for (const chunk of stubReply(messages).match(/\S+\s*/g)) {
+      await sleep(STUB_CHUNK_DELAY_MS, signal);
+      yield chunk;
+    }
+  }
+};
+
+// Any API implementing OpenAI's chat completions endpoint
+const openAIProvider = {
+  name: 'openai',
+  async generateReply(messages) {
+    if (!process.env.LLM_API_KEY) {
+      throw new Error('LLM_API_KEY is not set');
+    }
+
+    const model = process.env.LLM_MODEL || 'gpt-4o-mini';
+    const response = await axios.post(
+      `${process.env.LLM_BASE_URL || 'https://api.openai.com/v1'}/chat/completions`,
+      { model, messages, temperature: 0.7 },
+      {
+        headers: { Authorization: `Bearer ${process.env.LLM_API_KEY}` },
+        timeout: parseInt(process.env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS
+      }
+    );
+
+    const content = response.data.choices?.[0]?.message?.content;
+    if (!content) {
+      throw new Error('LLM provider returned an empty reply');
+    }
+    return { content: content.trim(), model: response.data.model || model };
+  },
+  async *streamReply(messages, { signal } = {}) {
+    if (!process.env.LLM_API_KEY) {
+      throw new Error('LLM_API_KEY is not set');
+    }
+
+    const response = await axios.post(
+      `${process.env.LLM_BASE_URL || 'https://api.openai.com/v1'}/chat/completions`,
+      { model: process.env.LLM_MODEL || 'gpt-4o-mini', messages, temperature: 0.7, stream: true },
+      {
+        headers: { Authorization: `Bearer ${process.env.LLM_API_KEY}` },
+        timeout: parseInt(process.env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+        responseType: 'stream',
+        signal
+      }
+    );
+
+    // The response is itself server-sent events: "data: {json}" lines
+    let buffered = '';
+    for await (const data of response.data) {
+      buffered += data.toString('utf8');
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+
+      for (const line of lines) {
+        if (!line.startsWith('data:')) {
+          continue;
+        }
+        const payload = line.slice(5).trim();
+        if (payload === '[DONE]') {
+          return;
+        }
+        const text = JSON.parse(payload).choices?.[0]?.delta?.content;
+        if (text) {
+          yield text;
+        }
+      }
+    }
+  }
+};
+
+const providers = new Map([
+  [stubProvider.name, stubProvider],
+  [openAIProvider.name, openAIProvider]
+]);
+
+/**
+ * Make a provider available to LLM_PROVIDER
+ * @param {Object} provider - { name, generateReply(messages), [streamReply(messages, { signal })] }
+ */
+const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+/**
+ * The configured provider. In production the stub is only used when asked
+ * for by name, so a missing key can't pass echo replies off as real ones.
+ * @returns {Object} - { name, generateReply, streamReply? }
+ */
+const getProvider = () => {
+  const name = process.env.LLM_PROVIDER || (process.env.LLM_API_KEY ? 'openai' : 'stub');
+  if (process.env.NODE_ENV === 'production' && !process.env.LLM_API_KEY && (name === 'openai' || !process.env.LLM_PROVIDER)) {
+    throw new Error('LLM_API_KEY (or an explicit LLM_PROVIDER) must be set in production');
+  }
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}"`);
+  }
+  return provider;
+};
+
+module.exports = {
+  registerProvider,
+  getProvider
+};
@@ -0,0 +1,250 @@
+const mongoose = require('mongoose');
+const Memory = require('../models/Memory');
+const { getProvider } = require('./llmProviders');
+const { buildQueryTokens } = require('./searchIndex');
+const { toReadable } = require('./unreadableRecords');
+const { contentWords } = require('./chatInsights');
+
+// Long-term memory for the chat companion: salient facts taken from what the
+// user writes, recalled in later sessions when a message relates to them.
+// Facts are written by the configured LLM provider, or picked out by the
+// local rules below when there is no real model or it fails.
+const MAX_MEMORIES_PER_USER = 200;
+const MAX_FACTS_PER_TEXT = 3;
+const MAX_MEMORY_LENGTH = 300;
+const RELEVANT_MEMORIES = 5;
+
+const EXTRACTION_INSTRUCTIONS = [
+  'Extract at most three lasting facts about the user from their text that a supportive companion should remember',
+  'in future conversations: life events, upcoming plans, relationships, goals and ongoing struggles.',
+  'Write one fact per line in second person ("You have a chemistry exam on Friday"). Ignore passing moods.',
+  'Reply with NONE if there is nothing worth remembering.'
+].join(' ');
+
+// First-person statements about events, plans, relationships and goals
+const SALIENT_PATTERNS = [
+  /\bmy (exam|exams|test|interview|job|boss|manager|school|college|university|class|thesis|project|deadline|wedding|birthday|therapist|doctor|diagnosis|medication)\b/,
+  /\bmy (mom|mother|dad|father|parents|brother|sister|son|daughter|kids|family|partner|husband|wife|boyfriend|girlfriend|ex|friend|best friend|dog|cat)\b/,
+  /\bi (just )?(broke up|got (married|engaged|divorced|fired|promoted|diagnosed)|lost my|moved|started|quit|failed|passed|graduated)\b/,
+  /\bi(m| am) (starting|moving|getting|going to|trying to|planning to|pregnant|grieving)\b/,
+  /\bi (have|ve got|have got) (a|an|my) [a-z]+ (tomorrow|on|next|this|in)\b/,
+  /\bi want to\b.*\b(stop|start|learn|get better|quit)\b/
+];
+
+// Extractions still running, by source id. A newer extraction for the same
+// source, or forgetting it, marks the running one superseded: it stops and
+// removes anything it already stored, so memories of old text don't outlive
+// an edit or deletion.
+const runsInProgress = new Map();
+
+/**
+ * Pick out sentences stating lasting facts, using local rules
+ * @param {string} text - What the user wrote
+ * @returns {Array<string>}
+ */
+const extractFactsLocally = (text) => {
+  const sentences = (text.match(/[^.!?\n]+[.!?]*/g) || []).map(sentence => sentence.trim());
+  return sentences
+    .filter(sentence => {
+      const normalized = sentence.toLowerCase().replace(/['’]/g, '');
+      return SALIENT_PATTERNS.some(pattern => pattern.test(normalized));
+    })
+    .slice(0, MAX_FACTS_PER_TEXT);
+};
+
+const extractFacts = async (text) => {
+  const provider = getProvider();
+  // The stub only echoes, so it can't extract anything
+  if (provider.name !== 'stub') {
+    try {
+      const { content } = await provider.generateReply([
+        { role: 'system', content: EXTRACTION_INSTRUCTIONS },
+        { role: 'user', content: text }
+      ]);
+      if (content.trim().toUpperCase() === 'NONE') {
+        return [];
+      }
+      return content
+        .split('\n')
+        .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim())
+        .filter(Boolean)
+        .slice(0, MAX_FACTS_PER_TEXT);
+    } catch (error) {
+      console.error('Memory extraction error:', error.message);
+    }
+  }
+
+  return extractFactsLocally(text);
+};
+
+// Drop the least recently used memories beyond the per-user limit. Memories
+// the user added or edited are kept; a memory never recalled counts as used
+// when it was created, so new ones aren't the first to go.
+const enforceLimit = async (userId) => {
+  const excess = await Memory.countDocuments({ userId }) - MAX_MEMORIES_PER_USER;
+  if (excess <= 0) {
+    return;
+  }
+
+  const oldest = await Memory.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(String(userId)), 'source.type': { $ne: 'user' }, editedAt: { $exists: false } } },
+    { $project: { lastActiveAt: { $ifNull: ['$lastUsedAt', '$createdAt'] } } },
+    { $sort: { lastActiveAt: 1, _id: 1 } },
+    { $limit: excess }
+  ]);
+  await Memory.deleteMany({ _id: { $in: oldest.map(memory => memory._id) } });
+};
+
+/**
+ * Store the facts worth remembering from something the user wrote.
+ * The user's data key must be loaded.
+ * @param {string} userId - Author of the text
+ * @param {Object} source - { type: 'chat' | 'journal', id, sessionId }
+ * @param {string} text - What the user wrote
+ * @param {Function} [isCurrent] - Returns false once the text has been
+ *   edited or deleted, to stop storing facts from it
+ * @returns {Promise<number>} - Number of new memories
+ */
+const rememberFrom = async (userId, source, text, isCurrent = () => true) => {
+  const facts = await extractFacts(text);
+
+  const createdIds = [];
+  for (const fact of facts) {
+    if (!isCurrent()) {
+      break;
+    }
+    try {
+      const memory = await Memory.create({ userId, source, content: fact.slice(0, MAX_MEMORY_LENGTH) });
+      createdIds.push(memory._id);
+    } catch (error) {
+      // Already remembered (same fingerprint)
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  // Superseded while writing: the memories may have landed after the
+  // deletion meant to remove them
+  if (!isCurrent()) {
+    if (createdIds.length > 0) {
+      await Memory.deleteMany({ _id: { $in: createdIds } });
+    }
+    return 0;
+  }
+
+  if (createdIds.length > 0) {
+    await enforceLimit(userId);
+  }
+  return createdIds.length;
+};
+
+/**
+ * Run rememberFrom after the response has been sent. An extraction still
+ * running for the same source is superseded by this one.
+ * @param {string} userId - Author of the text
+ * @param {Object} source - { type, id, sessionId }
+ * @param {string} text - What the user wrote
+ */
+const scheduleMemoryExtraction = (userId, source, text) => {
+  const key = String(source.id);
+  const previous = runsInProgress.get(key);
+  if (previous) {
+    previous.superseded = true;
+  }
+  const run = { sessionId: source.sessionId, superseded: false };
+  runsInProgress.set(key, run);
+
+  setImmediate(() => {
+    rememberFrom(userId, source, text, () => !run.superseded)
+      .catch(err => {
+        console.error('Memory extraction failed:', err);
+      })
+      .finally(() => {
+        if (runsInProgress.get(key) === run) {
+          runsInProgress.delete(key);
+        }
+      });
+  });
+};
+
+/**
+ * Delete what was remembered from journal entries or chat messages that are
+ * being edited or deleted, stopping extractions still running for them
+ * @param {string} userId - Owner of the memories
+ * @param {Object} sources - { ids: source ids, sessionId: a whole chat session }
+ * @returns {Promise<void>}
+ */
+const forgetMemoriesFrom = async (userId, { ids = [], sessionId } = {}) => {
+  const keys = ids.map(String);
+  for (const [key, run] of runsInProgress) {
+    if (keys.includes(key) || (sessionId && run.sessionId === sessionId)) {
+      run.superseded = true;
+      runsInProgress.delete(key);
+    }
+  }
+
+  const conditions = [];
+  if (ids.length > 0) {
+    conditions.push({ 'source.id': { $in: ids } });
+  }
+  if (sessionId) {
+    conditions.push({ 'source.sessionId': sessionId });
+  }
+  if (conditions.length > 0) {
+    await Memory.deleteMany({ userId, $or: conditions });
+  }
+};
+
+/**
+ * Memories that share the most words with a message, most relevant first.
+ * Marks them as used so they survive the per-user limit.
+ * @param {string} userId - Owner of the memories
+ * @param {string} text - Message to find memories for
+ * @returns {Promise<Array<Object>>} - Memory documents
+ */
+const findRelevantMemories = async (userId, text) => {
+  // Only meaningful words count; "my" or "have" would match everything
+  const terms = buildQueryTokens(userId, contentWords(text).join(' '));
+  if (terms.length === 0) {
+    return [];
+  }
+
+  const results = await Memory.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(String(userId)),
+        searchTokens: { $in: terms.flat() }
+      }
+    },
+    {
+      $addFields: {
+        matchCount: {
+          $add: terms.map(candidates => ({
+            $cond: [{ $gt: [{ $size: { $setIntersection: ['$searchTokens', candidates] } }, 0] }, 1, 0]
+          }))
+        }
+      }
+    },
+    { $sort: { matchCount: -1, updatedAt: -1 } },
+    { $limit: RELEVANT_MEMORIES },
+    { $project: { searchTokens: 0, fingerprint: 0, matchCount: 0 } }
+  ]);
+
+  const { items } = toReadable(results.map(doc => Memory.hydrate(doc)), 'memory');
+  if (items.length > 0) {
+    await Memory.updateMany(
+      { _id: { $in: items.map(memory => memory._id) } },
+      { lastUsedAt: Date.now() }
+    );
+  }
+  return items;
+};
+
+module.exports = {
+  extractFactsLocally,
+  rememberFrom,
+  scheduleMemoryExtraction,
+  forgetMemoriesFrom,
+  findRelevantMemories
+};
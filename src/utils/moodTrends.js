@@ -0,0 +1,294 @@
+const JournalEntry = require('../models/JournalEntry');
+const WellnessCheck = require('../models/WellnessCheck');
+
+// Mood trends over a date range, combining wellness check scores (0-10),
+// journal entry moods and the emotions found by the emotion analyzer. The
+// grouping runs in MongoDB, so only one row per period reaches the server
+// however many years of entries a user has. Periods without data are left
+// out of the series.
+const INTERVALS = ['day', 'week', 'month'];
+const START_OF_WEEK = 'monday';
+
+const MOOD_CHANGE_THRESHOLD = 2; // Points on the 0-10 wellness scale
+const EMOTION_SHIFT_THRESHOLD = 0.2; // Change in an emotion's share of entries
+const MIN_SHIFT_ENTRIES = 3; // Analyzed entries needed in each half of the range
+
+const round = (value) => {
+  return Math.round(value * 100) / 100;
+};
+
+const byCount = (a, b) => {
+  return b.count - a.count;
+};
+
+const truncate = (date, { interval, timezone }) => {
+  return { $dateTrunc: { date, unit: interval, timezone, startOfWeek: START_OF_WEEK } };
+};
+
+const midpointOf = ({ startDate, endDate }) => {
+  return new Date(startDate.getTime() + (endDate.getTime() - startDate.getTime()) / 2);
+};
+
+// Enough extra history before the range to fill the first moving average window
+const warmUpStart = (startDate, interval, window) => {
+  const days = { day: 1, week: 7, month: 31 }[interval];
+  return new Date(startDate.getTime() - (window * days + 1) * 24 * 60 * 60 * 1000);
+};
+
+const aggregateWellness = (userId, range) => {
+  const { startDate, endDate, interval, window } = range;
+
+  return WellnessCheck.aggregate([
+    { $match: { userId, completedAt: { $gte: warmUpStart(startDate, interval, window), $lte: endDate } } },
+    {
+      $group: {
+        _id: truncate('$completedAt', range),
+        total: { $sum: '$mood' },
+        count: { $sum: 1 },
+        min: { $min: '$mood' },
+        max: { $max: '$mood' }
+      }
+    },
+    // Weighted by the number of checks, over the periods within the window
+    {
+      $setWindowFields: {
+        sortBy: { _id: 1 },
+        output: {
+          windowTotal: { $sum: '$total', window: { range: [-(window - 1), 0], unit: interval } },
+          windowCount: { $sum: '$count', window: { range: [-(window - 1), 0], unit: interval } }
+        }
+      }
+    },
+    { $match: { $expr: { $gte: ['$_id', truncate(startDate, range)] } } },
+    {
+      $project: {
+        _id: 0,
+        period: '$_id',
+        total: 1,
+        count: 1,
+        min: 1,
+        max: 1,
+        average: { $round: [{ $divide: ['$total', '$count'] }, 2] },
+        movingAverage: { $round: [{ $divide: ['$windowTotal', '$windowCount'] }, 2] }
+      }
+    },
+    { $sort: { period: 1 } }
+  ]);
+};
+
+const aggregateJournal = async (userId, range) => {
+  const { startDate, endDate } = range;
+  const midpoint = midpointOf(range);
+  const analyzed = { emotion: { $type: 'string' } };
+
+  const [result] = await JournalEntry.aggregate([
+    { $match: { userId, createdAt: { $gte: startDate, $lte: endDate } } },
+    {
+      $project: {
+        period: truncate('$createdAt', range),
+        late: { $gte: ['$createdAt', midpoint] },
+        mood: { $ifNull: ['$mood', 'neutral'] },
+        emotion: '$mlAnalysis.primary_emotion',
+        detected: '$mlAnalysis.detected_emotions'
+      }
+    },
+    {
+      $facet: {
+        moodsByPeriod: [
+          { $group: { _id: { period: '$period', mood: '$mood' }, count: { $sum: 1 } } },
+          {
+            $group: {
+              _id: '$_id.period',
+              entries: { $sum: '$count' },
+              moods: { $push: { mood: '$_id.mood', count: '$count' } }
+            }
+          }
+        ],
+        emotionsByPeriod: [
+          { $match: analyzed },
+          { $group: { _id: { period: '$period', emotion: '$emotion' }, count: { $sum: 1 } } },
+          {
+            $group: {
+              _id: '$_id.period',
+              analyzed: { $sum: '$count' },
+              emotions: { $push: { emotion: '$_id.emotion', count: '$count' } }
+            }
+          }
+        ],
+        moods: [
+          { $group: { _id: '$mood', count: { $sum: 1 } } },
+          { $sort: { count: -1 } }
+        ],
+        primaryEmotions: [
+          { $match: analyzed },
+          { $group: { _id: '$emotion', count: { $sum: 1 } } }
+        ],
+        detectedEmotions: [
+          { $unwind: '$detected' },
+          { $group: { _id: '$detected.emotion', entries: { $sum: 1 }, averageScore: { $avg: '$detected.score' } } }
+        ],
+        emotionsByHalf: [
+          { $match: analyzed },
+          { $group: { _id: { late: '$late', emotion: '$emotion' }, count: { $sum: 1 } } }
+        ]
+      }
+    }
+  ]);
+
+  return result;
+};
+
+const toShares = (counts, key) => {
+  const total = counts.reduce((sum, { count }) => sum + count, 0);
+  return counts.map(item => ({ [key]: item._id, count: item.count, share: round(item.count / total) }));
+};
+
+// Combine primary emotion counts with the average score of each emotion
+// wherever it was detected
+const emotionDistribution = (primaryEmotions, detectedEmotions) => {
+  const analyzed = primaryEmotions.reduce((sum, { count }) => sum + count, 0);
+  const emotions = new Map();
+
+  for (const { _id, count } of primaryEmotions) {
+    emotions.set(_id, { emotion: _id, primaryCount: count, share: round(count / analyzed), detectedIn: 0, averageScore: 0 });
+  }
+  for (const { _id, entries, averageScore } of detectedEmotions) {
+    if (typeof _id !== 'string') {
+      continue;
+    }
+    const emotion = emotions.get(_id) || { emotion: _id, primaryCount: 0, share: 0 };
+    emotions.set(_id, { ...emotion, detectedIn: entries, averageScore: round(averageScore) });
+  }
+
+  return [...emotions.values()].sort((a, b) => b.primaryCount - a.primaryCount || b.detectedIn - a.detectedIn);
+};
+
+const buildSeries = (wellness, journal) => {
+  const periods = new Map();
+  const periodOf = (date) => {
+    const key = date.getTime();
+    if (!periods.has(key)) {
+      periods.set(key, { period: date, wellness: null, journal: null });
+    }
+    return periods.get(key);
+  };
+
+  for (const { period, average, min, max, count, movingAverage } of wellness) {
+    periodOf(period).wellness = { average, min, max, count, movingAverage };
+  }
+  for (const { _id, entries, moods } of journal.moodsByPeriod) {
+    moods.sort(byCount);
+    periodOf(_id).journal = { entries, moods, analyzed: 0, primaryEmotion: null, emotions: [] };
+  }
+  for (const { _id, analyzed, emotions } of journal.emotionsByPeriod) {
+    emotions.sort(byCount);
+    Object.assign(periodOf(_id).journal, { analyzed, primaryEmotion: emotions[0].emotion, emotions });
+  }
+
+  return [...periods.values()].sort((a, b) => a.period - b.period);
+};
+
+// Periods whose average wellness score moved away from the moving average
+// of the periods before them
+const findMoodChanges = (series) => {
+  const changes = [];
+  let previous = null;
+
+  for (const { period, wellness } of series) {
+    if (!wellness) {
+      continue;
+    }
+    if (previous) {
+      const change = round(wellness.average - previous.movingAverage);
+      if (Math.abs(change) >= MOOD_CHANGE_THRESHOLD) {
+        changes.push({
+          type: change < 0 ? 'mood_drop' : 'mood_rise',
+          period,
+          average: wellness.average,
+          previousAverage: previous.movingAverage,
+          change
+        });
+      }
+    }
+    previous = wellness;
+  }
+
+  return changes;
+};
+
+// Emotions whose share of analyzed entries changed between the first and
+// second half of the range
+const findEmotionShifts = (emotionsByHalf, range) => {
+  const halves = { early: new Map(), late: new Map() };
+  for (const { _id, count } of emotionsByHalf) {
+    halves[_id.late ? 'late' : 'early'].set(_id.emotion, count);
+  }
+
+  const totalOf = (half) => [...half.values()].reduce((sum, count) => sum + count, 0);
+  const earlyTotal = totalOf(halves.early);
+  const lateTotal = totalOf(halves.late);
+  if (earlyTotal < MIN_SHIFT_ENTRIES || lateTotal < MIN_SHIFT_ENTRIES) {
+    return [];
+  }
+
+  const midpoint = midpointOf(range);
+  const emotions = new Set([...halves.early.keys(), ...halves.late.keys()]);
+
+  return [...emotions]
+    .map((emotion) => {
+      const before = round((halves.early.get(emotion) || 0) / earlyTotal);
+      const after = round((halves.late.get(emotion) || 0) / lateTotal);
+      return { type: 'emotion_shift', emotion, since: midpoint, before, after, change: round(after - before) };
+    })
+    .filter(({ change }) => Math.abs(change) >= EMOTION_SHIFT_THRESHOLD)
+    .sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+};
+
+/**
+ * Mood and emotion trends of a user over a date range
+ * @param {ObjectId} userId - Owner of the data
+ * @param {Object} range - { startDate, endDate, interval (day, week or month),
+ *   timezone (IANA name periods are cut in), window (periods in each moving average) }
+ * @returns {Promise<Object>} - { range, summary, series, moods, emotions, changes }
+ */
+const getMoodTrends = async (userId, range) => {
+  const [wellness, journal] = await Promise.all([
+    aggregateWellness(userId, range),
+    aggregateJournal(userId, range)
+  ]);
+
+  const series = buildSeries(wellness, journal);
+  const checks = wellness.reduce((sum, { count }) => sum + count, 0);
+  const moods = toShares(journal.moods, 'mood');
+  const emotions = emotionDistribution(journal.primaryEmotions, journal.detectedEmotions);
+
+  return {
+    range,
+    summary: {
+      wellness: {
+        checks,
+        average: checks > 0 ? round(wellness.reduce((sum, { total }) => sum + total, 0) / checks) : null,
+        min: checks > 0 ? Math.min(...wellness.map(({ min }) => min)) : null,
+        max: checks > 0 ? Math.max(...wellness.map(({ max }) => max)) : null
+      },
+      journal: {
+        entries: moods.reduce((sum, { count }) => sum + count, 0),
+        analyzed: emotions.reduce((sum, { primaryCount }) => sum + primaryCount, 0),
+        topMood: moods.length > 0 ? moods[0].mood : null,
+        topEmotion: emotions.length > 0 && emotions[0].primaryCount > 0 ? emotions[0].emotion : null
+      }
+    },
+    series,
+    moods,
+    emotions,
+    changes: [
+      ...findMoodChanges(series),
+      ...findEmotionShifts(journal.emotionsByHalf, range)
+    ]
+  };
+};
+
+module.exports = {
+  INTERVALS,
+  getMoodTrends
+};
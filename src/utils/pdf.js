@@ -0,0 +1,253 @@
+const zlib = require('zlib');
+
+// Minimal PDF writer (A4 pages of wrapped text in the built-in Helvetica
+// fonts) so documents can be rendered without an extra dependency. Text is
+// WinAnsi-encoded: Latin characters and common punctuation print, and each
+// run of anything else (emoji, non-Latin scripts) is replaced with a visible
+// placeholder. Callers can check canEncode to tell readers about it.
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 56;
+const LINE_HEIGHT = 1.35; // Multiple of the font size
+
+// Glyph widths of characters 32-126, in 1/1000 of the font size
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+const DEFAULT_WIDTH = 556; // Accented letters and other Latin-1 characters
+
+const FONTS = { regular: 'F1', bold: 'F2' };
+
+const PLACEHOLDER = '[?]';
+
+// WinAnsi codes of the punctuation outside Latin-1
+const WIN_ANSI = {
+  '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93,
+  '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97
+};
+
+const isLatin = (code) => {
+  return (code >= 32 && code <= 126) || (code >= 160 && code <= 255);
+};
+
+const encodeText = (text) => {
+  const bytes = [];
+  let replacing = false;
+  for (const char of text.normalize('NFC')) {
+    const code = char.codePointAt(0);
+    const supported = WIN_ANSI[char] || isLatin(code);
+    if (WIN_ANSI[char]) {
+      bytes.push(WIN_ANSI[char]);
+    } else if (isLatin(code)) {
+      bytes.push(code);
+    } else if (!replacing) {
+      // One placeholder per run, so a word in another script reads as one gap
+      bytes.push(...Buffer.from(PLACEHOLDER));
+    }
+    replacing = !supported;
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Whether text prints as written, rather than with PLACEHOLDER in place of
+ * characters the built-in fonts don't have
+ * @param {string} text - Text to check
+ * @returns {boolean}
+ */
+function canEncode(text) {
+  for (const char of String(text).normalize('NFC')) {
+    if (!WIN_ANSI[char] && !isLatin(char.codePointAt(0)) && !/\s/.test(char)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+const textWidth = (bytes, font, size) => {
+  let width = 0;
+  for (const byte of bytes) {
+    width += byte >= 32 && byte <= 126 ? WIDTHS[font][byte - 32] : DEFAULT_WIDTH;
+  }
+  return (width * size) / 1000;
+};
+
+// Split encoded text into lines that fit the page, breaking long words
+const wrapText = (text, font, size, maxWidth) => {
+  const lines = [];
+
+  for (const paragraph of text.split(/\r?\n/)) {
+    let line = Buffer.alloc(0);
+    for (const word of paragraph.split(/\s+/).filter(Boolean).map(encodeText)) {
+      const candidate = line.length > 0 ? Buffer.concat([line, Buffer.from(' '), word]) : word;
+      if (textWidth(candidate, font, size) <= maxWidth) {
+        line = candidate;
+        continue;
+      }
+      if (line.length > 0) {
+        lines.push(line);
+      }
+      line = word;
+      while (textWidth(line, font, size) > maxWidth) {
+        let fit = line.length - 1;
+        while (fit > 1 && textWidth(line.subarray(0, fit), font, size) > maxWidth) {
+          fit--;
+        }
+        lines.push(line.subarray(0, fit));
+        line = line.subarray(fit);
+      }
+    }
+    lines.push(line);
+  }
+
+  return lines;
+};
+
+const escapeString = (bytes) => {
+  const escaped = [];
+  for (const byte of bytes) {
+    // ( ) and \ must be escaped inside a literal string
+    if (byte === 0x28 || byte === 0x29 || byte === 0x5c) {
+      escaped.push(0x5c);
+    }
+    escaped.push(byte);
+  }
+  return Buffer.from(escaped).toString('latin1');
+};
+
+const formatPdfDate = (date) => {
+  return `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+};
+
+/**
+ * Lay out blocks of text on A4 pages
+ * @param {Array<Object>} blocks - { text, bold, size, gray, spaceBefore }; size
+ *   defaults to 11pt, gray to 0 (black) and spaceBefore to 0
+ * @returns {Array<string>} - Content stream of each page
+ */
+function layoutPages(blocks) {
+  const pages = [];
+  let ops = [];
+  let y = PAGE_HEIGHT - MARGIN;
+  const maxWidth = PAGE_WIDTH - 2 * MARGIN;
+
+  const newPage = () => {
+    pages.push(ops.join('\n'));
+    ops = [];
+    y = PAGE_HEIGHT - MARGIN;
+  };
+
+  for (const block of blocks) {
+    const font = block.bold ? 'bold' : 'regular';
+    const size = block.size || 11;
+    const leading = size * LINE_HEIGHT;
+
+    // No gap at the top of a page
+    if (y < PAGE_HEIGHT - MARGIN) {
+      y -= block.spaceBefore || 0;
+    }
+
+    for (const line of wrapText(block.text || '', font, size, maxWidth)) {
+      if (y - leading < MARGIN) {
+        newPage();
+      }
+      y -= leading;
+      if (line.length > 0) {
+        ops.push(`BT /${FONTS[font]} ${size} Tf ${block.gray || 0} g ${MARGIN} ${y.toFixed(2)} Td (${escapeString(line)}) Tj ET`);
+      }
+    }
+  }
+  newPage();
+
+  return pages;
+}
+
+/**
+ * Build a PDF document in memory
+ * @param {Array<Object>} blocks - Text blocks, see layoutPages
+ * @param {Object} [info] - { title, createdAt } for the document properties
+ * @returns {Buffer} - The document
+ */
+function createPdf(blocks, info = {}) {
+  const pages = layoutPages(blocks);
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalog = addObject(null);
+  const pageTree = addObject(null);
+  const regularFont = addObject(Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'));
+  const boldFont = addObject(Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'));
+
+  const pageIds = pages.map((content) => {
+    const stream = zlib.deflateSync(Buffer.from(content, 'latin1'));
+    const contentId = addObject(Buffer.concat([
+      Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`),
+      stream,
+      Buffer.from('\nendstream')
+    ]));
+    return addObject(Buffer.from(
+      `<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 ${regularFont} 0 R /F2 ${boldFont} 0 R >> >> /Contents ${contentId} 0 R >>`
+    ));
+  });
+
+  objects[catalog - 1] = Buffer.from(`<< /Type /Catalog /Pages ${pageTree} 0 R >>`);
+  objects[pageTree - 1] = Buffer.from(
+    `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`
+  );
+  const infoId = addObject(Buffer.from(
+    `<< /Title (${escapeString(encodeText(info.title || ''))}) /Producer (Eunoia) ` +
+    `/CreationDate (${formatPdfDate(info.createdAt || new Date())}) >>`
+  ));
+
+  const parts = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  let offset = parts[0].length;
+  const offsets = [];
+  objects.forEach((body, index) => {
+    const part = Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`), body, Buffer.from('\nendobj\n')]);
+    offsets.push(offset);
+    parts.push(part);
+    offset += part.length;
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(value => `${String(value).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${infoId} 0 R >>`,
+    'startxref',
+    String(offset),
+    '%%EOF',
+    ''
+  ].join('\n');
+  parts.push(Buffer.from(xref));
+
+  return Buffer.concat(parts);
+}
+
+module.exports = {
+  PLACEHOLDER,
+  canEncode,
+  createPdf
+};
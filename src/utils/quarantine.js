@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { ENCRYPTED_FIELDS } = require('./encryptedFields');
+
+// Documents the encryption audit moves aside because they can't be
+// decrypted. They keep their plaintext metadata (owner, mood, tags,
+// timestamps), so they expire after QUARANTINE_TTL_DAYS and are purged
+// with their owner's account.
+const QUARANTINE_TTL_DAYS = parseInt(process.env.QUARANTINE_TTL_DAYS) || 30;
+
+const indexed = new Set();
+
+const quarantineCollection = (model) => {
+  return mongoose.connection.db.collection(`${model.collection.collectionName}_quarantine`);
+};
+
+/**
+ * Move a document into `<collection>_quarantine`
+ * @param {Object} model - Mongoose model the document belongs to
+ * @param {ObjectId} docId - Document to move
+ * @param {Array<string>} paths - Fields that failed to decrypt
+ * @returns {Promise<boolean>} - False if the document no longer exists
+ */
+const quarantineDocument = async (model, docId, paths) => {
+  const doc = await model.collection.findOne({ _id: docId });
+  if (!doc) {
+    return false;
+  }
+
+  const quarantine = quarantineCollection(model);
+  if (!indexed.has(quarantine.collectionName)) {
+    await quarantine.createIndex(
+      { '_quarantine.quarantinedAt': 1 },
+      { expireAfterSeconds: QUARANTINE_TTL_DAYS * 24 * 60 * 60 }
+    );
+    await quarantine.createIndex({ userId: 1 });
+    indexed.add(quarantine.collectionName);
+  }
+
+  await quarantine.replaceOne(
+    { _id: doc._id },
+    { ...doc, _quarantine: { paths, quarantinedAt: new Date() } },
+    { upsert: true }
+  );
+  await model.collection.deleteOne({ _id: doc._id });
+  return true;
+};
+
+/**
+ * Delete a user's quarantined documents from every quarantine collection
+ * @param {ObjectId} userId - Owner of the documents
+ * @returns {Promise<number>} - Number of documents deleted
+ */
+const purgeUserQuarantine = async (userId) => {
+  let deleted = 0;
+  for (const { model } of ENCRYPTED_FIELDS.filter(spec => spec.perUser)) {
+    const result = await quarantineCollection(model).deleteMany({ userId });
+    deleted += result.deletedCount;
+  }
+  return deleted;
+};
+
+module.exports = {
+  QUARANTINE_TTL_DAYS,
+  quarantineDocument,
+  purgeUserQuarantine
+};
@@ -0,0 +1,133 @@
+// Risk classifiers look at a piece of user content and return
+// { level: 'none' | 'elevated' | 'high', signals: [ruleId] }. Signals name
+// the rules that fired, never the matched text, so they can be stored
+// without revealing what was written. RISK_CLASSIFIER picks one.
+const LEVELS = ['none', 'elevated', 'high'];
+
+// Phrase rules, matched against lowercased text with apostrophes removed
+const PHRASE_RULES = [
+  {
+    id: 'suicidal-ideation',
+    level: 'high',
+    patterns: [
+      /\bsuicid(e|al)\b/,
+      /\bkill(ing)? myself\b/,
+      /\bend (it all|my life)\b/,
+      /\btake my (own )?life\b/,
+      /\b(want|wanna|going) to die\b/,
+      /\bno reason to (live|go on)\b/,
+      /\bbetter off (dead|without me)\b/,
+      /\bdont want to (live|be alive|wake up)\b/
+    ]
+  },
+  {
+    id: 'self-harm',
+    level: 'high',
+    patterns: [
+      /\bself[- ]?harm(ing)?\b/,
+      /\b(cut|cutting|hurt|hurting|burn|burning|harm|harming) myself\b/,
+      /\boverdos(e|ed|ing)\b/
+    ]
+  },
+  {
+    id: 'hopelessness',
+    level: 'elevated',
+    patterns: [
+      /\bhopeless(ness)?\b/,
+      /\b(cant|cannot|can not) go on\b/,
+      /\bgive up on (everything|life)\b/,
+      /\bworthless\b/,
+      /\b(nobody|no one) (would )?(care|cares|notice|miss me)\b/,
+      /\b(im|i am|feel) (so )?trapped\b/,
+      /\b(im|i am) a burden\b/
+    ]
+  }
+];
+
+// Emotions from the entry's mlAnalysis that raise the level to elevated.
+// Sadness, grief, fear and guilt belong to ordinary bad days (the lexicon
+// analyzer scores three sad words in a short entry above the threshold), so
+// only emotions that point at risk in themselves count.
+const RISK_EMOTIONS = ['despair', 'hopelessness'];
+const EMOTION_THRESHOLD = 0.7;
+
+const normalize = (text) => {
+  return (text || '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/\s+/g, ' ');
+};
+
+const higherLevel = (a, b) => {
+  return LEVELS.indexOf(a) >= LEVELS.indexOf(b) ? a : b;
+};
+
+// Strongly expressed risk emotions in an mlAnalysis object
+const riskEmotions = (mlAnalysis) => {
+  if (!mlAnalysis) {
+    return [];
+  }
+
+  const scores = [...(mlAnalysis.detected_emotions || [])];
+  if (mlAnalysis.primary_emotion) {
+    scores.push({ emotion: mlAnalysis.primary_emotion, score: mlAnalysis.emotion_confidence });
+  }
+
+  return [...new Set(scores
+    .filter(({ emotion, score }) => RISK_EMOTIONS.includes(String(emotion).toLowerCase()) && score >= EMOTION_THRESHOLD)
+    .map(({ emotion }) => String(emotion).toLowerCase()))];
+};
+
+// Local keyword and phrase rules, plus the emotions detected in the entry
+const rulesClassifier = {
+  name: 'rules',
+  async classify({ text, mlAnalysis }) {
+    const normalized = normalize(text);
+    let level = 'none';
+    const signals = [];
+
+    for (const rule of PHRASE_RULES) {
+      if (rule.patterns.some(pattern => pattern.test(normalized))) {
+        level = higherLevel(level, rule.level);
+        signals.push(rule.id);
+      }
+    }
+
+    for (const emotion of riskEmotions(mlAnalysis)) {
+      level = higherLevel(level, 'elevated');
+      signals.push(`emotion:${emotion}`);
+    }
+
+    return { level, signals };
+  }
+};
+
+const classifiers = new Map([
+  [rulesClassifier.name, rulesClassifier]
+]);
+
+/**
+ * Make a classifier available to RISK_CLASSIFIER
+ * @param {Object} classifier - { name, classify({ text, mlAnalysis }) }
+ */
+const registerClassifier = (classifier) => {
+  classifiers.set(classifier.name, classifier);
+};
+
+/**
+ * The configured classifier
+ * @returns {Object} - { name, classify }
+ */
+const getClassifier = () => {
+  const name = process.env.RISK_CLASSIFIER || rulesClassifier.name;
+  const classifier = classifiers.get(name);
+  if (!classifier) {
+    throw new Error(`Unknown RISK_CLASSIFIER "${name}"`);
+  }
+  return classifier;
+};
+
+module.exports = {
+  registerClassifier,
+  getClassifier
+};
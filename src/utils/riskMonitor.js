@@ -0,0 +1,102 @@
+const User = require('../models/User');
+const RiskEvent = require('../models/RiskEvent');
+const { getClassifier } = require('./riskClassifier');
+const { getCrisisResources } = require('./crisisResources');
+const { sendTrustedContactAlert } = require('./emailService');
+
+// A trusted contact is emailed at most once in this window
+const CONTACT_ALERT_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+const RISK_MESSAGES = {
+  high: 'It sounds like you may be going through something really painful. You don\'t have to face it alone - please reach out to one of these services. They are free and confidential.',
+  elevated: 'It sounds like things are hard right now. If you\'d like to talk to someone, these services are here for you.'
+};
+
+const notifyTrustedContact = async (user, event) => {
+  const contact = user.trustedContact;
+  if (!contact || !contact.notifyOnRisk || !contact.email || !contact.confirmedAt) {
+    return;
+  }
+
+  // Claim the alert slot before sending, so that concurrent high-risk
+  // writes can't both pass the check and both email the contact
+  const claimedAt = new Date();
+  const previous = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      'trustedContact.email': contact.email,
+      'trustedContact.confirmedAt': { $exists: true },
+      $or: [
+        { 'trustedContact.lastAlertedAt': { $exists: false } },
+        { 'trustedContact.lastAlertedAt': { $lt: new Date(claimedAt.getTime() - CONTACT_ALERT_INTERVAL_MS) } }
+      ]
+    },
+    { $set: { 'trustedContact.lastAlertedAt': claimedAt } }
+  );
+  if (!previous) {
+    return;
+  }
+
+  try {
+    await sendTrustedContactAlert(previous, getCrisisResources(previous.region));
+  } catch (error) {
+    // Give the slot back so the next high-risk event can try again
+    const lastAlertedAt = previous.trustedContact.lastAlertedAt;
+    await User.updateOne(
+      { _id: user._id, 'trustedContact.lastAlertedAt': claimedAt },
+      lastAlertedAt
+        ? { $set: { 'trustedContact.lastAlertedAt': lastAlertedAt } }
+        : { $unset: { 'trustedContact.lastAlertedAt': 1 } }
+    );
+    throw error;
+  }
+  await RiskEvent.updateOne({ _id: event._id }, { contactNotifiedAt: Date.now() });
+};
+
+/**
+ * Check newly written content for crisis signals. Flagged content is
+ * recorded as a RiskEvent and, when high risk, reported to the user's
+ * trusted contact if they opted in. Never throws: a failed check must not
+ * fail saving the content.
+ * @param {Object} user - Author of the content
+ * @param {Object} content - { source: 'journal' | 'chat', sourceId, text, mlAnalysis }
+ * @returns {Promise<Object|null>} - { level, message, resources } for the
+ *   response, or null when nothing was flagged
+ */
+const assessRisk = async (user, { source, sourceId, text, mlAnalysis }) => {
+  try {
+    const classifier = getClassifier();
+    const { level, signals } = await classifier.classify({ text, mlAnalysis });
+    if (level === 'none') {
+      return null;
+    }
+
+    const event = await RiskEvent.create({
+      userId: user._id,
+      source,
+      sourceId,
+      level,
+      signals,
+      classifier: classifier.name
+    });
+
+    if (level === 'high') {
+      notifyTrustedContact(user, event).catch(err => {
+        console.error('Failed to notify trusted contact:', err);
+      });
+    }
+
+    return {
+      level,
+      message: RISK_MESSAGES[level],
+      resources: getCrisisResources(user.region)
+    };
+  } catch (error) {
+    console.error('Risk assessment error:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  assessRisk
+};
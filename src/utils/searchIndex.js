@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const { deriveUserKey } = require('./userKeys');
+
+// Blind index for searching encrypted text (journal entries, chat messages
+// and session titles, memories). Each record stores the keyed HMACs of its
+// normalized words and word prefixes instead of the words themselves; a
+// query is hashed the same way and matched on equality. The HMAC key is
+// derived from the user's data key, so tokens can't be compared across users
+// and become meaningless once the key is shredded. Changing INDEX_PURPOSE
+// invalidates every stored token and fingerprint until
+// `npm run build-search-index -- --all` has rebuilt them.
+const INDEX_PURPOSE = 'search-index';
+const MIN_WORD_LENGTH = 2;
+const MIN_PREFIX_LENGTH = 3;
+const MAX_PREFIX_LENGTH = 8;
+const MAX_QUERY_TERMS = 10;
+const TOKEN_LENGTH = 16; // hex chars, i.e. 64 bits of the HMAC
+
+/**
+ * Split text into unique, normalized words (lowercase, accents stripped)
+ * @param {string} text - Text to split
+ * @returns {Array<string>}
+ */
+const tokenize = (text) => {
+  if (!text) {
+    return [];
+  }
+
+  const words = text
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length >= MIN_WORD_LENGTH);
+
+  return [...new Set(words)];
+};
+
+const blindToken = (key, kind, value) => {
+  return crypto
+    .createHmac('sha256', key)
+    .update(`${kind}:${value}`)
+    .digest('hex')
+    .slice(0, TOKEN_LENGTH);
+};
+
+const prefixesOf = (word) => {
+  const prefixes = [];
+  const longest = Math.min(word.length - 1, MAX_PREFIX_LENGTH);
+  for (let length = MIN_PREFIX_LENGTH; length <= longest; length++) {
+    prefixes.push(word.slice(0, length));
+  }
+  return prefixes;
+};
+
+/**
+ * Build the blind index tokens for a record's text
+ * @param {string} userId - Owner of the record
+ * @param {Object} fields - Plain text { title, content, tags }, any of them
+ * @returns {Array<string>|null} - Tokens, or null if the user's key isn't loaded
+ */
+const buildSearchTokens = (userId, { title, content, tags = [] }) => {
+  const key = deriveUserKey(userId, INDEX_PURPOSE);
+  if (!key) {
+    return null;
+  }
+
+  const words = tokenize([title, content, ...tags].join(' '));
+  const tokens = new Set();
+  for (const word of words) {
+    tokens.add(blindToken(key, 'w', word));
+    for (const prefix of prefixesOf(word)) {
+      tokens.add(blindToken(key, 'p', prefix));
+    }
+  }
+
+  return [...tokens];
+};
+
+/**
+ * Hash a search query into the tokens each term can match. A term matches an
+ * entry containing it as a whole word or as the start of a longer word.
+ * @param {string} userId - Owner of the entries being searched
+ * @param {string} query - Search text
+ * @returns {Array<Array<string>>} - One list of candidate tokens per term
+ */
+const buildQueryTokens = (userId, query) => {
+  const key = deriveUserKey(userId, INDEX_PURPOSE);
+  if (!key) {
+    throw new Error('Data key not loaded for search');
+  }
+
+  return tokenize(query)
+    .slice(0, MAX_QUERY_TERMS)
+    .map(term => {
+      const candidates = [blindToken(key, 'w', term)];
+      // Only prefixes up to MAX_PREFIX_LENGTH are indexed, so longer terms
+      // match on their first MAX_PREFIX_LENGTH characters
+      if (term.length >= MIN_PREFIX_LENGTH) {
+        candidates.push(blindToken(key, 'p', term.slice(0, MAX_PREFIX_LENGTH)));
+      }
+      return candidates;
+    });
+};
+
+/**
+ * Keyed hash of a text's normalized words, equal for texts that differ only
+ * in case, accents, punctuation or spacing. Used to spot duplicates without
+ * comparing plaintext.
+ * @param {string} userId - Owner of the text
+ * @param {string} text - Text to fingerprint
+ * @returns {string|null} - Fingerprint, or null if the user's key isn't loaded
+ */
+const buildFingerprint = (userId, text) => {
+  const key = deriveUserKey(userId, INDEX_PURPOSE);
+  if (!key) {
+    return null;
+  }
+
+  const normalized = (text || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .join(' ');
+  return blindToken(key, 'f', normalized);
+};
+
+module.exports = {
+  tokenize,
+  buildSearchTokens,
+  buildQueryTokens,
+  buildFingerprint
+};
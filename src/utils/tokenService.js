@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_EXPIRE || '15m';
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+const MAX_ROTATED_HASHES = 20;
+const TWO_FACTOR_CHALLENGE_EXPIRE = '5m';
+const DOWNLOAD_LINK_EXPIRE_SECONDS = 15 * 60;
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const refreshExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Refresh tokens look like `<sessionId>.<secret>` so the owning session can be
+// found without scanning, while only the hash of the whole token is stored.
+const buildRefreshToken = (sessionId) => {
+  return `${sessionId}.${crypto.randomBytes(40).toString('hex')}`;
+};
+
+const authError = (message) => {
+  const error = new Error(message);
+  error.status = 401;
+  return error;
+};
+
+const describeClient = (req) => ({
+  userAgent: req.headers['user-agent'],
+  ipAddress: req.ip
+});
+
+/**
+ * Sign a short-lived access token bound to a session
+ * @param {Object} user - User document
+ * @param {Object} session - Session document
+ * @returns {string} - Signed JWT
+ */
+const generateAccessToken = (user, session) => {
+  return jwt.sign(
+    { id: user._id, sid: session._id, tv: user.tokenVersion },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRE }
+  );
+};
+
+/**
+ * Sign the short-lived token that links a correct password to the
+ * second login step. It carries no session, so `protect` rejects it.
+ * @param {Object} user - User document
+ * @returns {string} - Signed JWT
+ */
+const generateTwoFactorChallenge = (user) => {
+  return jwt.sign(
+    { id: user._id, purpose: '2fa', tv: user.tokenVersion },
+    process.env.JWT_SECRET,
+    { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRE }
+  );
+};
+
+/**
+ * Verify a second-step challenge token
+ * @param {string} challengeToken - Token returned by the password step
+ * @returns {Object} - Decoded payload ({ id, tv })
+ */
+const verifyTwoFactorChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    if (decoded.purpose !== '2fa') {
+      throw new Error('Wrong token purpose');
+    }
+    return decoded;
+  } catch (error) {
+    throw authError('Login attempt expired, please log in again');
+  }
+};
+
+/**
+ * Sign a time-limited download link token for a finished export.
+ * The link never outlives the archive itself.
+ * @param {Object} job - ExportJob document
+ * @returns {Object} - { token, expiresAt }
+ */
+const generateDownloadToken = (job) => {
+  const expiresAt = new Date(Math.min(
+    Date.now() + DOWNLOAD_LINK_EXPIRE_SECONDS * 1000,
+    job.expiresAt.getTime()
+  ));
+
+  const token = jwt.sign(
+    { jobId: job._id, purpose: 'export', exp: Math.floor(expiresAt.getTime() / 1000) },
+    process.env.JWT_SECRET
+  );
+
+  return { token, expiresAt };
+};
+
+/**
+ * Verify a download link token
+ * @param {string} token - Token from the download link
+ * @returns {Object} - Decoded payload ({ jobId })
+ */
+const verifyDownloadToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== 'export') {
+      throw new Error('Wrong token purpose');
+    }
+    return decoded;
+  } catch (error) {
+    throw authError('Download link is invalid or has expired');
+  }
+};
+
+/**
+ * Start a new session (token family) for the device making the request
+ * @param {Object} user - User document
+ * @param {Object} req - Express request, used for device details
+ * @returns {Promise<Object>} - { token, refreshToken, sessionId }
+ */
+const createSession = async (user, req) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const refreshToken = buildRefreshToken(sessionId);
+
+  const session = await Session.create({
+    _id: sessionId,
+    userId: user._id,
+    tokenVersion: user.tokenVersion,
+    refreshTokenHash: hashToken(refreshToken),
+    deviceName: req.body?.deviceName,
+    ...describeClient(req),
+    expiresAt: refreshExpiry()
+  });
+
+  return {
+    token: generateAccessToken(user, session),
+    refreshToken,
+    sessionId: session._id
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair.
+ * Replaying a token that was already rotated revokes the whole family.
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @param {Object} req - Express request, used for device details
+ * @returns {Promise<Object>} - { session, refreshToken }
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const [sessionId] = String(refreshToken).split('.');
+  if (!sessionId || !/^[a-f0-9]{24}$/.test(sessionId)) {
+    throw authError('Invalid refresh token');
+  }
+
+  const presentedHash = hashToken(refreshToken);
+  const nextToken = buildRefreshToken(sessionId);
+
+  // Swap the hash atomically so two concurrent refreshes can't both succeed
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiry(),
+        ...describeClient(req)
+      },
+      $push: {
+        rotatedTokenHashes: { $each: [presentedHash], $slice: -MAX_ROTATED_HASHES }
+      }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: nextToken };
+  }
+
+  const reused = await Session.findOne({
+    _id: sessionId,
+    rotatedTokenHashes: presentedHash
+  });
+
+  if (reused && !reused.revokedAt) {
+    console.warn(`Refresh token reuse detected, revoking session ${sessionId}`);
+    await revokeSession(reused, 'refresh_token_reuse');
+  }
+
+  throw authError('Invalid or expired refresh token');
+};
+
+/**
+ * Revoke a session so neither its access nor refresh tokens work any more
+ * @param {Object} session - Session document
+ * @param {string} reason - Why the session was revoked
+ */
+const revokeSession = async (session, reason) => {
+  await Session.updateOne(
+    { _id: session._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+/**
+ * Revoke every open session belonging to a user
+ * @param {string} userId - Owner of the sessions
+ * @param {string} reason - Why the sessions were revoked
+ * @param {Object} [options]
+ * @param {string} [options.except] - Session ID to leave signed in
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const revokeAllSessions = async (userId, reason, { except } = {}) => {
+  const filter = { userId, revokedAt: null };
+  if (except) {
+    filter._id = { $ne: except };
+  }
+
+  const result = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  hashToken,
+  generateAccessToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  generateDownloadToken,
+  verifyDownloadToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,246 @@
+const JournalEntry = require('../models/JournalEntry');
+const WellnessCheck = require('../models/WellnessCheck');
+
+// Typing patterns from the keystroke data saved with journal entries. The
+// baseline is a user's own typing over the weeks before the recent window,
+// so it moves with them; recent sessions are compared with it in standard
+// deviations. Pauses are counted per 100 keystrokes so that long and short
+// entries compare.
+const METRICS = {
+  wpm: {
+    value: '$keystrokeData.avg_wpm',
+    higher: 'writing faster than usual',
+    lower: 'writing more slowly than usual'
+  },
+  pauseRate: {
+    value: {
+      $cond: [
+        { $gt: ['$keystrokeData.total_keystrokes', 0] },
+        { $multiply: [{ $divide: ['$keystrokeData.pause_count', '$keystrokeData.total_keystrokes'] }, 100] },
+        null
+      ]
+    },
+    higher: 'writing more hesitantly',
+    lower: 'writing more fluently'
+  },
+  errorRate: {
+    value: '$keystrokeData.error_rate',
+    higher: 'correcting yourself more than usual',
+    lower: 'correcting yourself less than usual'
+  },
+  duration: {
+    value: '$keystrokeData.typing_duration',
+    higher: 'spending longer on your entries',
+    lower: 'spending less time on your entries'
+  }
+};
+
+const DEVIATION_THRESHOLD = 1; // Standard deviations before a change is mentioned
+const MIN_BASELINE_SESSIONS = 5;
+const MIN_RECENT_SESSIONS = 2;
+const MIN_CORRELATION_DAYS = 5; // Days with both typing data and a wellness check
+const MAX_SESSIONS = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => {
+  return value === null || value === undefined ? null : Math.round(value * 100) / 100;
+};
+
+const metricValues = () => {
+  return Object.fromEntries(Object.entries(METRICS).map(([name, { value }]) => [name, value]));
+};
+
+const metricAverages = () => {
+  return Object.fromEntries(Object.keys(METRICS).map(name => [name, { $avg: `$${name}` }]));
+};
+
+const aggregateTyping = async (userId, { baselineStart, recentStart, endDate, timezone }) => {
+  const [result] = await JournalEntry.aggregate([
+    {
+      $match: {
+        userId,
+        createdAt: { $gte: baselineStart, $lte: endDate },
+        'keystrokeData.total_keystrokes': { $gt: 0 }
+      }
+    },
+    {
+      $project: {
+        createdAt: 1,
+        mood: { $ifNull: ['$mood', 'neutral'] },
+        recent: { $gte: ['$createdAt', recentStart] },
+        day: { $dateTrunc: { date: '$createdAt', unit: 'day', timezone } },
+        ...metricValues()
+      }
+    },
+    {
+      $facet: {
+        stats: [
+          {
+            $group: {
+              _id: '$recent',
+              sessions: { $sum: 1 },
+              ...metricAverages(),
+              ...Object.fromEntries(Object.keys(METRICS).map(name => [`${name}StdDev`, { $stdDevSamp: `$${name}` }]))
+            }
+          }
+        ],
+        sessions: [
+          { $match: { recent: true } },
+          { $sort: { createdAt: -1 } },
+          { $limit: MAX_SESSIONS },
+          { $project: { _id: 0, entryId: '$_id', createdAt: 1, mood: 1, ...Object.fromEntries(Object.keys(METRICS).map(name => [name, 1])) } }
+        ],
+        byDay: [
+          { $group: { _id: '$day', ...metricAverages() } }
+        ],
+        byMood: [
+          { $group: { _id: '$mood', sessions: { $sum: 1 }, ...metricAverages() } },
+          { $sort: { sessions: -1 } }
+        ]
+      }
+    }
+  ]);
+
+  return result;
+};
+
+const aggregateDailyMood = (userId, { baselineStart, endDate, timezone }) => {
+  return WellnessCheck.aggregate([
+    { $match: { userId, completedAt: { $gte: baselineStart, $lte: endDate } } },
+    { $group: { _id: { $dateTrunc: { date: '$completedAt', unit: 'day', timezone } }, mood: { $avg: '$mood' } } }
+  ]);
+};
+
+const pickMetrics = (source) => {
+  return Object.fromEntries(Object.keys(METRICS).map(name => [name, round(source[name])]));
+};
+
+const toBaseline = (stats) => {
+  if (!stats) {
+    return { sessions: 0, metrics: null };
+  }
+  return {
+    sessions: stats.sessions,
+    metrics: Object.fromEntries(Object.keys(METRICS).map(name => [
+      name,
+      { mean: round(stats[name]), stdDev: round(stats[`${name}StdDev`]) }
+    ]))
+  };
+};
+
+// How many standard deviations a value is from the baseline statistics, or
+// null if there is nothing to compare
+const deviationsFrom = (baselineStats, values) => {
+  return Object.fromEntries(Object.keys(METRICS).map((name) => {
+    const mean = baselineStats[name];
+    const stdDev = baselineStats[`${name}StdDev`];
+    const value = values[name];
+    const comparable = typeof value === 'number' && typeof mean === 'number' && stdDev > 0;
+    return [name, comparable ? round((value - mean) / stdDev) : null];
+  }));
+};
+
+const pearson = (pairs) => {
+  const n = pairs.length;
+  const meanX = pairs.reduce((sum, [x]) => sum + x, 0) / n;
+  const meanY = pairs.reduce((sum, [, y]) => sum + y, 0) / n;
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (const [x, y] of pairs) {
+    covariance += (x - meanX) * (y - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (y - meanY) ** 2;
+  }
+  return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : null;
+};
+
+// Correlation of each day's typing with that day's wellness check score
+const correlateWithMood = (byDay, dailyMood) => {
+  const moods = new Map(dailyMood.map(({ _id, mood }) => [_id.getTime(), mood]));
+
+  return Object.fromEntries(Object.keys(METRICS).map((name) => {
+    const pairs = byDay
+      .filter(day => typeof day[name] === 'number' && moods.has(day._id.getTime()))
+      .map(day => [day[name], moods.get(day._id.getTime())]);
+    return [
+      name,
+      {
+        coefficient: pairs.length >= MIN_CORRELATION_DAYS ? round(pearson(pairs)) : null,
+        days: pairs.length
+      }
+    ];
+  }));
+};
+
+const describeWindow = (days) => {
+  return days === 7 ? 'this week' : `over the last ${days} days`;
+};
+
+/**
+ * Compare a user's recent typing with their baseline
+ * @param {ObjectId} userId - Owner of the entries
+ * @param {Object} options - { days (recent window), baselineDays (window before
+ *   it the baseline is drawn from), timezone (IANA name days are cut in) }
+ * @returns {Promise<Object>} - { range, baseline, recent, sessions, observations,
+ *   moodCorrelation, byMood }
+ */
+const getTypingPatterns = async (userId, { days, baselineDays, timezone }) => {
+  const endDate = new Date();
+  const recentStart = new Date(endDate.getTime() - days * DAY_MS);
+  const baselineStart = new Date(recentStart.getTime() - baselineDays * DAY_MS);
+  const range = { baselineStart, recentStart, endDate, timezone };
+
+  const [typing, dailyMood] = await Promise.all([
+    aggregateTyping(userId, range),
+    aggregateDailyMood(userId, range)
+  ]);
+
+  const baselineStats = typing.stats.find(({ _id }) => _id === false);
+  const baseline = toBaseline(baselineStats);
+  const recentStats = typing.stats.find(({ _id }) => _id === true);
+  const recent = {
+    sessions: recentStats ? recentStats.sessions : 0,
+    metrics: recentStats ? pickMetrics(recentStats) : null,
+    deviations: null
+  };
+
+  // Too little typing on either side says more about chance than about the user
+  const comparable = baseline.sessions >= MIN_BASELINE_SESSIONS && recent.sessions >= MIN_RECENT_SESSIONS;
+  const observations = [];
+  if (comparable) {
+    recent.deviations = deviationsFrom(baselineStats, recentStats);
+    for (const [name, deviation] of Object.entries(recent.deviations)) {
+      if (deviation !== null && Math.abs(deviation) >= DEVIATION_THRESHOLD) {
+        const direction = deviation > 0 ? 'higher' : 'lower';
+        observations.push({
+          metric: name,
+          direction,
+          deviation,
+          message: `You've been ${METRICS[name][direction]} ${describeWindow(days)}.`
+        });
+      }
+    }
+    observations.sort((a, b) => Math.abs(b.deviation) - Math.abs(a.deviation));
+  }
+
+  return {
+    range: { baselineStart, recentStart, endDate, timezone },
+    baseline,
+    recent,
+    sessions: typing.sessions.map(session => ({
+      entryId: session.entryId,
+      createdAt: session.createdAt,
+      mood: session.mood,
+      metrics: pickMetrics(session),
+      deviations: comparable ? deviationsFrom(baselineStats, session) : null
+    })),
+    observations,
+    moodCorrelation: correlateWithMood(typing.byDay, dailyMood),
+    byMood: typing.byMood.map(({ _id, sessions, ...metrics }) => ({ mood: _id, sessions, metrics: pickMetrics(metrics) }))
+  };
+};
+
+module.exports = {
+  getTypingPatterns
+};
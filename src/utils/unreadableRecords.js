@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const JournalEntry = require('../models/JournalEntry');
+const WellnessCheck = require('../models/WellnessCheck');
+const Memory = require('../models/Memory');
+const { ChatMessage, ChatSession } = require('../models/Chat');
+const { ENCRYPTED_FIELDS, getProjection, getEncryptedValues } = require('./encryptedFields');
+const { hasCiphertextStructure } = require('./encryption');
+const { decryptForUser } = require('./userKeys');
+
+// Records that fail to decrypt (damaged ciphertext, lost key) are left out of
+// responses and reported by type and id instead of failing the whole request.
+// GET /api/records/unreadable lists them; they can then be deleted.
+const RECORD_TYPES = {
+  journalEntry: JournalEntry,
+  chatSession: ChatSession,
+  chatMessage: ChatMessage,
+  wellnessCheck: WellnessCheck,
+  memory: Memory
+};
+
+/**
+ * Convert documents for a response, setting aside any that can't be decrypted
+ * @param {Array<Object>} docs - Mongoose documents
+ * @param {string} type - Key of RECORD_TYPES
+ * @returns {Object} - { items, unreadable: [{ type, id }] }
+ */
+const toReadable = (docs, type) => {
+  const items = [];
+  const unreadable = [];
+
+  for (const doc of docs) {
+    try {
+      // Set by hooks that decrypt fields outside of getters (wellness answers)
+      if (doc.$locals.undecryptable) {
+        throw new Error('Failed to decrypt data');
+      }
+      items.push(doc.toJSON());
+    } catch (error) {
+      console.error(`Failed to decrypt ${type} ${doc._id}:`, error.message);
+      unreadable.push({ type, id: doc._id });
+    }
+  }
+
+  return { items, unreadable };
+};
+
+const getSpec = (type) => {
+  return ENCRYPTED_FIELDS.find(spec => spec.model === RECORD_TYPES[type]);
+};
+
+// Encrypted fields of a raw document that don't decrypt. Legacy plaintext
+// is readable as it is, so only values written as ciphertext can be damaged.
+const findDamagedFields = (spec, rawDoc) => {
+  const damaged = [];
+  for (const { path, value } of getEncryptedValues(spec, rawDoc)) {
+    if (!hasCiphertextStructure(value)) {
+      continue;
+    }
+    try {
+      decryptForUser(rawDoc.userId, value);
+    } catch (error) {
+      damaged.push(path);
+    }
+  }
+  return damaged;
+};
+
+/**
+ * List every record of a user that can't be fully decrypted.
+ * The user's data key must already be loaded.
+ * @param {string} userId - Owner of the records
+ * @returns {Promise<Array<Object>>} - { type, id, fields, createdAt, updatedAt }
+ */
+const findUnreadableRecords = async (userId) => {
+  const records = [];
+
+  for (const type of Object.keys(RECORD_TYPES)) {
+    const spec = getSpec(type);
+    const cursor = spec.model.collection.find(
+      { userId: new mongoose.Types.ObjectId(String(userId)) },
+      { projection: { ...getProjection(spec), createdAt: 1, updatedAt: 1 } }
+    );
+
+    for await (const rawDoc of cursor) {
+      const fields = findDamagedFields(spec, rawDoc);
+      if (fields.length > 0) {
+        records.push({
+          type,
+          id: rawDoc._id,
+          fields,
+          createdAt: rawDoc.createdAt,
+          updatedAt: rawDoc.updatedAt
+        });
+      }
+    }
+  }
+
+  return records;
+};
+
+/**
+ * Delete a record that can't be decrypted. Readable records are left alone;
+ * they are deleted through their own endpoints.
+ * @param {string} userId - Owner of the record
+ * @param {string} type - Key of RECORD_TYPES
+ * @param {string} id - Record _id
+ * @returns {Promise<Object|null>} - { deleted: { type: count } }, { readable: true },
+ *   or null if there is no such record
+ */
+const deleteUnreadableRecord = async (userId, type, id) => {
+  const spec = getSpec(type);
+  const filter = {
+    _id: new mongoose.Types.ObjectId(String(id)),
+    userId: new mongoose.Types.ObjectId(String(userId))
+  };
+
+  const rawDoc = await spec.model.collection.findOne(filter, {
+    projection: { ...getProjection(spec), sessionId: 1 }
+  });
+  if (!rawDoc) {
+    return null;
+  }
+  if (findDamagedFields(spec, rawDoc).length === 0) {
+    return { readable: true };
+  }
+
+  const deleted = {};
+  // A session can't be opened without its record, so its messages go with it
+  if (type === 'chatSession') {
+    const result = await ChatMessage.deleteMany({ userId, sessionId: rawDoc.sessionId });
+    deleted.chatMessage = result.deletedCount;
+  }
+  const result = await spec.model.collection.deleteOne(filter);
+  deleted[type] = result.deletedCount;
+
+  return { deleted };
+};
+
+module.exports = {
+  RECORD_TYPES,
+  toReadable,
+  findUnreadableRecords,
+  deleteUnreadableRecord
+};
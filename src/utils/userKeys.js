@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const DataKey = require('../models/DataKey');
+const {
+  encrypt,
+  decrypt,
+  encryptWithDataKey,
+  decryptWithDataKey
+} = require('./encryption');
+
+// Envelope encryption: every user's data is encrypted with their own random
+// data key, and only that key is encrypted ("wrapped") with the master key.
+// Model getters/setters are synchronous, so keys are loaded into this cache
+// up front (by `protect` for requests, explicitly by background jobs).
+const MAX_CACHED_KEYS = 10000;
+const keyCache = new Map();
+
+const rememberKey = (userId, key) => {
+  keyCache.delete(userId);
+  keyCache.set(userId, key);
+  if (keyCache.size > MAX_CACHED_KEYS) {
+    keyCache.delete(keyCache.keys().next().value);
+  }
+};
+
+/**
+ * Load (creating on first use) a user's data key into the cache
+ * @param {string} userId - Owner of the key
+ * @param {Object} [options]
+ * @param {boolean} [options.create=true] - Create the key if there is none
+ * @returns {Promise<Buffer|null>} - The unwrapped 32-byte data key, or null
+ *   if there is none and `create` is false
+ */
+const loadUserKey = async (userId, { create = true } = {}) => {
+  const id = String(userId);
+  if (keyCache.has(id)) {
+    return keyCache.get(id);
+  }
+
+  let record = await DataKey.findOne({ userId });
+  if (!record && !create) {
+    return null;
+  }
+  if (!record) {
+    const newKey = crypto.randomBytes(32);
+    try {
+      record = await DataKey.create({
+        userId,
+        wrappedKey: encrypt(newKey.toString('base64'))
+      });
+    } catch (error) {
+      // Another request created the key first
+      if (error.code !== 11000) {
+        throw error;
+      }
+      record = await DataKey.findOne({ userId });
+    }
+  }
+
+  const key = Buffer.from(decrypt(record.wrappedKey), 'base64');
+  rememberKey(id, key);
+  return key;
+};
+
+/**
+ * Crypto-shred a user's data: once the wrapped key is gone, anything still
+ * encrypted under it (including copies in backups) can never be decrypted
+ * @param {string} userId - Owner of the key
+ * @returns {Promise<number>} - Number of keys destroyed
+ */
+const destroyUserKey = async (userId) => {
+  keyCache.delete(String(userId));
+  const result = await DataKey.deleteOne({ userId });
+  return result.deletedCount;
+};
+
+const getLoadedKey = (userId) => {
+  return userId ? keyCache.get(String(userId)) : undefined;
+};
+
+/**
+ * Derive a purpose-specific key from a user's data key, so that other uses
+ * (e.g. search index HMACs) never reuse the encryption key itself and are
+ * shredded along with it
+ * @param {string} userId - Owner of the key
+ * @param {string} purpose - Label separating derived keys
+ * @returns {Buffer|undefined} - 32-byte key, or undefined if not loaded
+ */
+const deriveUserKey = (userId, purpose) => {
+  const key = getLoadedKey(userId);
+  if (!key) {
+    return undefined;
+  }
+  return Buffer.from(crypto.hkdfSync('sha256', key, Buffer.alloc(0), purpose, 32));
+};
+
+/**
+ * Encrypt a value for a user. Falls back to the master key if the user's
+ * key isn't loaded (e.g. schema defaults applied before `userId` is set);
+ * `npm run reencrypt` later moves such values onto the user's key.
+ * @param {string} userId - Owner of the data
+ * @param {string} text - Plain text
+ * @returns {string} - Ciphertext
+ */
+const encryptForUser = (userId, text) => {
+  const key = getLoadedKey(userId);
+  return key ? encryptWithDataKey(text, key) : encrypt(text);
+};
+
+/**
+ * Decrypt a value stored for a user
+ * @param {string} userId - Owner of the data
+ * @param {string} text - Stored value
+ * @returns {string} - Plain text
+ */
+const decryptForUser = (userId, text) => {
+  return decryptWithDataKey(text, getLoadedKey(userId));
+};
+
+// Mongoose runs setters with the document as `this`, or with the query for
+// updates, in which case the owner comes from the query filter
+const ownerOf = (context) => {
+  if (context instanceof mongoose.Query) {
+    const { userId } = context.getFilter();
+    return mongoose.isValidObjectId(userId) ? userId : undefined;
+  }
+  return context ? context.userId : undefined;
+};
+
+/**
+ * Schema setter encrypting a field with the owning user's data key
+ */
+const encryptForOwner = function(value) {
+  return encryptForUser(ownerOf(this), value);
+};
+
+/**
+ * Schema getter decrypting a field with the owning user's data key
+ */
+const decryptForOwner = function(value) {
+  return decryptForUser(ownerOf(this), value);
+};
+
+module.exports = {
+  loadUserKey,
+  destroyUserKey,
+  deriveUserKey,
+  encryptForUser,
+  decryptForUser,
+  encryptForOwner,
+  decryptForOwner
+};